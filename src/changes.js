@@ -0,0 +1,146 @@
+/**
+ * Änderungserkennung zwischen Läufen: Je Unternehmen wird ein Schnappschuss der gespeicherten und zugestellten
+ * Kontakte im persistenten Store abgelegt. Der nächste Lauf vergleicht seine Kontakte damit und markiert sie als
+ * `new`, `changed` (Position oder E-Mail geändert) oder `unchanged`; nicht mehr gefundene Kontakte sind `gone`.
+ */
+
+const { transliterate } = require('./utils');
+
+const CHANGE_TYPES = ['new', 'changed', 'unchanged', 'gone'];
+
+// Fields compared between runs; a change in any of them marks the contact as `changed`
+const TRACKED_FIELDS = ['jobTitle', 'email'];
+
+// Fields kept in a snapshot: enough to find the contact in a CRM when it is gone
+const SNAPSHOT_FIELDS = ['company', 'salutation', 'academicTitle', 'firstName', 'lastName', 'email', 'phone', 'jobTitle', 'linkedInUrl', 'source', 'scrapedAt'];
+
+function snapshotKey(checkpointKey) {
+    return `snapshot-${checkpointKey}`;
+}
+
+/** Comparable text: "Müller" and "Mueller", "Head of IT" and "head-of-IT" are the same */
+function normalizeText(value) {
+    return transliterate(String(value)).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Identity of a contact across runs: the name, for contacts without one the profile URL, email or phone.
+ * Name first, so a person whose address changed is `changed` rather than gone and new.
+ */
+function contactIdentity(contact) {
+    const name = [contact.firstName, contact.lastName].filter(Boolean).map(normalizeText).join(' ');
+    if (name) return `name:${name}`;
+    if (contact.linkedInUrl) return `profile:${contact.linkedInUrl.toLowerCase().replace(/[?#].*$/, '').replace(/\/+$/, '')}`;
+    if (contact.email) return `email:${contact.email.toLowerCase()}`;
+    if (contact.phone) return `phone:${String(contact.phone).replace(/[^\d+]/g, '')}`;
+    return null;
+}
+
+function sameValue(a, b) {
+    return normalizeText(a) === normalizeText(b);
+}
+
+/**
+ * Changed tracked fields of a contact. A field this run did not find (null) is no change: a missing email
+ * usually means the address was not found again, not that it is wrong.
+ * @returns {Object<string, { previous: string|null, current: string }>}
+ */
+function fieldChanges(previous, current) {
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+        if (current[field] && !(previous[field] && sameValue(previous[field], current[field]))) {
+            changes[field] = { previous: previous[field] || null, current: current[field] };
+        }
+    }
+    return changes;
+}
+
+/** Snapshot entry of a contact; tracked fields this run did not find keep their previous value */
+function snapshotEntry(contact, previous = null) {
+    const entry = {};
+    for (const field of SNAPSHOT_FIELDS) entry[field] = contact[field] ?? null;
+    if (previous) {
+        for (const field of TRACKED_FIELDS) entry[field] = entry[field] ?? previous[field] ?? null;
+    }
+    return entry;
+}
+
+/**
+ * Compares the contacts of this run with the previous snapshot of the company.
+ * @param {object[]|null} previous snapshot contacts; null on the first run, where every contact is `new`
+ * @param {object[]} current contacts of this run, best first
+ * @param {{ complete?: boolean, limit?: number }} [options] `complete`: every source of the company ran without error;
+ *   otherwise missing contacts are not `gone` (a blocked source would make them look gone) but kept for the next comparison.
+ *   `limit`: only the first `limit` contacts are saved and delivered. A known contact below the cut is not `gone` and keeps
+ *   its delivered snapshot entry; an unknown one is not recorded, so it is `new` once it makes the cut.
+ * @returns {{ contacts: object[], gone: object[], snapshot: object[], counts: Object<string, number> }}
+ *   `contacts`: the saved contacts with `change` and `changes`; `counts`: over these and `gone`;
+ *   `snapshot`: what the next run compares against
+ */
+function diffContacts(previous, current, { complete = true, limit = Infinity } = {}) {
+    const before = new Map();
+    for (const contact of previous || []) {
+        const id = contactIdentity(contact);
+        if (id && !before.has(id)) before.set(id, contact);
+    }
+    const counts = Object.fromEntries(CHANGE_TYPES.map(type => [type, 0]));
+    const matched = new Set();
+    const snapshot = [];
+    const contacts = [];
+    current.forEach((contact, index) => {
+        const id = contactIdentity(contact);
+        const old = id && !matched.has(id) ? before.get(id) : undefined;
+        if (old) matched.add(id);
+        if (index >= limit) {
+            if (old) snapshot.push(old);
+            return;
+        }
+        const changes = old ? fieldChanges(old, contact) : {};
+        const change = !old ? 'new' : Object.keys(changes).length > 0 ? 'changed' : 'unchanged';
+        counts[change] += 1;
+        snapshot.push(snapshotEntry(contact, old));
+        contacts.push({ ...contact, change, changes: change === 'changed' ? changes : null });
+    });
+    const gone = [];
+    for (const [id, contact] of before) {
+        if (matched.has(id)) continue;
+        if (complete) gone.push({ ...contact, change: 'gone' });
+        else snapshot.push(contact);
+    }
+    counts.gone = gone.length;
+    return { contacts, gone, snapshot, counts };
+}
+
+/**
+ * Contact snapshots per company in the persistent state store. A snapshot written by the same run (restart)
+ * keeps the one before it, so a resumed run compares against the same base.
+ */
+class ContactSnapshots {
+    /**
+     * @param {{ getValue: Function, setValue: Function }} store persistent Key-Value-Store
+     * @param {{ runId: string }} options
+     */
+    constructor(store, { runId }) {
+        this.store = store;
+        this.runId = runId;
+    }
+
+    /** Snapshot of the previous run ({ runId, takenAt, contacts }), null if there is none */
+    async previous(checkpointKey) {
+        const stored = await this.store.getValue(snapshotKey(checkpointKey));
+        if (!stored) return null;
+        return stored.runId === this.runId ? stored.previous : stored;
+    }
+
+    async save(checkpointKey, contacts) {
+        const previous = await this.previous(checkpointKey);
+        await this.store.setValue(snapshotKey(checkpointKey), {
+            runId: this.runId,
+            takenAt: new Date().toISOString(),
+            contacts,
+            previous: previous && { runId: previous.runId, takenAt: previous.takenAt, contacts: previous.contacts }
+        });
+    }
+}
+
+module.exports = { CHANGE_TYPES, TRACKED_FIELDS, contactIdentity, diffContacts, ContactSnapshots };
@@ -0,0 +1,72 @@
+/**
+ * Checkpoints: Speichert je Unternehmen den Bearbeitungsstand (Status, abgefragte Quellen, gefundene Kandidaten,
+ * Fehler, gespeicherte Ergebnisse) im Key-Value-Store. Ein neu gestarteter oder migrierter Lauf überspringt
+ * fertige Unternehmen und setzt angefangene fort; frische Ergebnisse früherer Läufe werden innerhalb von `cacheTtlDays` wiederverwendet.
+ */
+
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 3600 * 1000;
+
+/** Record key of a company: same name, website and region -> same checkpoint */
+function checkpointKey(entry) {
+    const identity = JSON.stringify([entry.name.toLowerCase(), entry.website || null, entry.region || null]);
+    return `company-${crypto.createHash('sha256').update(identity).digest('hex').slice(0, 16)}`;
+}
+
+class CompanyCheckpoints {
+    /**
+     * @param {{ getValue: Function, setValue: Function }} store persistent Key-Value-Store
+     * @param {object} options
+     * @param {string} options.runId checkpoints of the same run are always resumed
+     * @param {number} [options.cacheTtlDays] checkpoints of earlier runs younger than this are reused; 0 = never
+     * @param {boolean} [options.forceRefresh] ignore checkpoints of earlier runs
+     */
+    constructor(store, { runId, cacheTtlDays = 7, forceRefresh = false }) {
+        this.store = store;
+        this.runId = runId;
+        this.cacheTtlDays = cacheTtlDays;
+        this.forceRefresh = forceRefresh;
+    }
+
+    /**
+     * State to continue with: the stored checkpoint if it belongs to this run or is a fresh one of an earlier run,
+     * otherwise a new state. `resumed` tells which case applies: 'run' | 'cache' | null.
+     */
+    async load(entry, now = new Date()) {
+        const key = checkpointKey(entry);
+        const stored = await this.store.getValue(key);
+        if (stored && stored.runId === this.runId) return { ...stored, resumed: 'run' };
+        const fresh = stored && stored.scrapedAt && now - Date.parse(stored.scrapedAt) <= this.cacheTtlDays * DAY_MS;
+        if (fresh && !this.forceRefresh && stored.sourcesTried.length > 0) {
+            // candidates and tried sources carry over; results are recomputed and pushed again by this run
+            return { ...stored, runId: this.runId, status: 'running', results: [], gone: [], snapshot: null, pushed: 0, delivery: null, report: null, resumed: 'cache' };
+        }
+        return {
+            key,
+            company: entry.name,
+            runId: this.runId,
+            status: 'running',
+            startedAt: now.toISOString(),
+            scrapedAt: null,
+            baseUrl: undefined,
+            sourcesTried: [],
+            candidates: [],
+            errors: [],
+            results: [],
+            gone: [],
+            snapshot: null,
+            pushed: 0,
+            delivery: null,
+            report: null,
+            resumed: null
+        };
+    }
+
+    async save(state) {
+        const { resumed, ...record } = state;
+        await this.store.setValue(state.key, { ...record, updatedAt: new Date().toISOString() });
+    }
+}
+
+module.exports = { CompanyCheckpoints, checkpointKey };
@@ -0,0 +1,59 @@
+/**
+ * Kontakt-Kandidat: Einheitliche Form der Kontakte, die jede Quelle liefert, und Prüfung der Rückgaben
+ * fremder Quellen (siehe sources.js), bevor sie zusammengeführt und validiert werden.
+ */
+
+/**
+ * @typedef {object} Contact
+ * @property {string} company
+ * @property {string|null} location
+ * @property {string|null} salutation "Herr" | "Frau"
+ * @property {string|null} academicTitle
+ * @property {string|null} firstName
+ * @property {string|null} lastName
+ * @property {string|null} email
+ * @property {string|null} phone as found, normalized later (see phones.js)
+ * @property {string|null} jobTitle
+ * @property {string|null} linkedInUrl LinkedIn or XING profile
+ * @property {string} source name of the source that found it
+ */
+
+const CONTACT_FIELDS = ['company', 'location', 'salutation', 'academicTitle', 'firstName', 'lastName', 'email', 'phone', 'jobTitle', 'linkedInUrl', 'source'];
+
+/**
+ * Contact of `source` with every field present; missing fields are null.
+ * @returns {Contact}
+ */
+function createContact(source, fields) {
+    const contact = {};
+    for (const field of CONTACT_FIELDS) contact[field] = fields[field] ?? null;
+    contact.source = source;
+    return contact;
+}
+
+function cleanString(value) {
+    if (typeof value === 'number') return String(value);
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Checks what a source returned: an array of contact-like objects. Values are trimmed, non-text values
+ * dropped, the company defaults to the processed one and `source` is always the source's name.
+ * Entries without name, email and phone are left out.
+ * @throws {TypeError} when the result is not an array
+ * @returns {Contact[]}
+ */
+function normalizeContacts(items, source, company) {
+    if (!Array.isArray(items)) throw new TypeError(`Source "${source}" must return an array of contacts, got ${items === null ? 'null' : typeof items}`);
+    const contacts = [];
+    for (const item of items) {
+        if (!item || typeof item !== 'object') continue;
+        const fields = {};
+        for (const field of CONTACT_FIELDS) fields[field] = cleanString(item[field]);
+        const contact = createContact(source, { ...fields, company: fields.company || company });
+        if (contact.firstName || contact.lastName || contact.email || contact.phone) contacts.push(contact);
+    }
+    return contacts;
+}
+
+module.exports = { CONTACT_FIELDS, createContact, normalizeContacts };
@@ -0,0 +1,133 @@
+/**
+ * Webhook-Zustellung: Die Kontakte eines Unternehmens werden sofort nach seiner Bearbeitung als JSON an eine
+ * konfigurierbare URL gesendet, mit HMAC-SHA256-Signatur über Zeitstempel und Body sowie Wiederholungen bei
+ * Netzwerkfehlern, 429 und 5xx. Die Zustell-ID bleibt bei Wiederholungen gleich, Empfänger können damit deduplizieren.
+ */
+
+const { Log } = require('crawlee');
+const pRetry = require('p-retry');
+const crypto = require('crypto');
+
+const log = Log.get();
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 4;
+const USER_AGENT = 'it-contact-scraper-webhook/1.0';
+
+const HEADERS = {
+    event: 'X-Webhook-Event',
+    id: 'X-Webhook-Id',
+    timestamp: 'X-Webhook-Timestamp',
+    signature: 'X-Webhook-Signature'
+};
+
+class WebhookDeliveryError extends Error {
+    /**
+     * @param {string} message
+     * @param {{ reason: string, status?: number|null }} details reason: `http_<status>` | `timeout` | `network`
+     */
+    constructor(message, { reason, status = null }) {
+        super(message);
+        this.name = 'WebhookDeliveryError';
+        this.reason = reason;
+        this.status = status;
+    }
+}
+
+/**
+ * Signature header value: `sha256=` + hex HMAC-SHA256 of `<timestamp>.<body>` with the shared secret.
+ * Receivers recompute it over the raw body and reject old timestamps to stop replays.
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/** Constant-time check of a signature header, for receivers and tests */
+function verifySignature(secret, timestamp, body, signature) {
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const given = Buffer.from(String(signature || ''));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/** 408, 429 and 5xx are worth another attempt; other 4xx mean the request itself is wrong */
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+class WebhookDelivery {
+    /**
+     * @param {object} options
+     * @param {string} options.url http(s) endpoint
+     * @param {string|null} [options.secret] shared secret for the signature; without one no signature header is sent
+     * @param {number} [options.retries] retries after a failed attempt
+     * @param {number} [options.minRetryDelayMs] delay before the first retry, doubled for each further one
+     * @param {number} [options.timeoutMs] per attempt
+     * @param {typeof fetch} [options.fetchImpl] replaces Node's fetch (tests)
+     * @throws {Error} on an invalid URL
+     */
+    constructor({ url, secret = null, retries = DEFAULT_RETRIES, minRetryDelayMs = 1000, timeoutMs = DEFAULT_TIMEOUT_MS, fetchImpl = fetch }) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            parsed = null;
+        }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) throw new Error(`Invalid webhookUrl "${url}": expected an http(s) URL`);
+        this.url = parsed.href;
+        this.secret = secret || null;
+        this.retries = retries;
+        this.minRetryDelayMs = minRetryDelayMs;
+        this.timeoutMs = timeoutMs;
+        this.fetchImpl = fetchImpl;
+    }
+
+    /**
+     * Sends one event. Every attempt is signed with its own timestamp; the delivery ID stays the same.
+     * @param {string} event e.g. `company.finished`
+     * @param {string} deliveryId stable ID of this delivery
+     * @param {object} payload JSON body
+     * @returns {Promise<{ status: number, attempts: number }>}
+     * @throws {WebhookDeliveryError} after the last failed attempt or on a non-retryable status; `attempts` is set
+     */
+    async deliver(event, deliveryId, payload) {
+        const body = JSON.stringify({ event, deliveryId, ...payload });
+        let attempts = 0;
+        const attempt = async () => {
+            attempts += 1;
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const headers = {
+                'Content-Type': 'application/json; charset=utf-8',
+                'User-Agent': USER_AGENT,
+                [HEADERS.event]: event,
+                [HEADERS.id]: deliveryId,
+                [HEADERS.timestamp]: timestamp
+            };
+            if (this.secret) headers[HEADERS.signature] = signPayload(this.secret, timestamp, body);
+            let response;
+            try {
+                response = await this.fetchImpl(this.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(this.timeoutMs) });
+            } catch (err) {
+                const timeout = err.name === 'TimeoutError' || err.name === 'AbortError';
+                throw new WebhookDeliveryError(`Webhook ${timeout ? 'timed out' : `request failed: ${err.message}`}`, { reason: timeout ? 'timeout' : 'network' });
+            }
+            if (response.ok) return { status: response.status, attempts };
+            const error = new WebhookDeliveryError(`Webhook answered HTTP ${response.status}`, { reason: `http_${response.status}`, status: response.status });
+            throw isRetryableStatus(response.status) ? error : new pRetry.AbortError(error);
+        };
+        try {
+            return await pRetry(attempt, {
+                retries: this.retries,
+                minTimeout: this.minRetryDelayMs,
+                factor: 2,
+                onFailedAttempt: (err) => {
+                    if (err.retriesLeft > 0) log.warning(`${err.message} for ${event} ${deliveryId}; ${err.retriesLeft} retries left`);
+                }
+            });
+        } catch (err) {
+            err.attempts = attempts;
+            throw err;
+        }
+    }
+}
+
+module.exports = { WebhookDelivery, WebhookDeliveryError, signPayload, verifySignature, HEADERS };
@@ -0,0 +1,169 @@
+/**
+ * Domain-Auflösung: Ermittelt die echte Unternehmens-Domain statt `${company}.de` zu raten.
+ * Kandidaten werden aus dem Firmennamen abgeleitet, per Startseite/Impressum verifiziert und gecacht.
+ */
+
+const { Log } = require('crawlee');
+const { safeNavigate } = require('./extractors');
+const { joinUrl, transliterate } = require('./utils');
+
+// Longest forms first so "GmbH & Co. KG" is stripped as a whole before "KG"
+const LEGAL_SUFFIXES = [
+    'gmbh & co. kgaa', 'gmbh & co. kg', 'gmbh & co kg', 'ag & co. kg', 'se & co. kg',
+    'ug (haftungsbeschränkt)', 'kgaa', 'gmbh', 'mbh', 'ag', 'se', 'kg', 'ohg', 'gbr', 'ug', 'e.v.', 'e. v.',
+    'ltd.', 'ltd', 'inc.', 'inc', 'llc', 'plc', 's.a.', 'b.v.', 'n.v.', 'corp.', 'corp'
+];
+
+const REGION_TLDS = {
+    de: ['de'], germany: ['de'], deutschland: ['de'],
+    at: ['at'], austria: ['at'], österreich: ['at'],
+    ch: ['ch'], switzerland: ['ch'], schweiz: ['ch'],
+    dach: ['de', 'at', 'ch']
+};
+const DEFAULT_TLDS = ['com', 'de', 'eu'];
+
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Removes legal form suffixes ("Robert Bosch GmbH" -> "Robert Bosch") */
+function stripLegalSuffix(name) {
+    let s = (name || '').trim();
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const suffix of LEGAL_SUFFIXES) {
+            const re = new RegExp(`[\\s,]+${escapeRegExp(suffix)}$`, 'i');
+            if (re.test(s)) {
+                s = s.replace(re, '').trim();
+                changed = true;
+            }
+        }
+    }
+    return s;
+}
+
+/** Lowercase ASCII tokens of the company core name: "Müller & Söhne GmbH" -> ['mueller', 'soehne'] */
+function companyTokens(name) {
+    return transliterate(stripLegalSuffix(name).toLowerCase())
+        .split(/[^a-z0-9]+/)
+        .filter(t => t.length > 0 && t !== 'und');
+}
+
+function slugifyCompanyName(name) {
+    return companyTokens(name).join('-');
+}
+
+/** Builds host candidates ordered by likelihood, region TLDs first */
+function candidateHosts(name, region) {
+    const tokens = companyTokens(name);
+    if (tokens.length === 0) return [];
+    const labels = [tokens.join(''), tokens.join('-')];
+    if (tokens.length > 1) {
+        for (const t of tokens) if (t.length >= 3) labels.push(t);
+    }
+    const regionTlds = REGION_TLDS[(region || '').trim().toLowerCase()] || [];
+    const tlds = [...new Set([...regionTlds, ...DEFAULT_TLDS])];
+
+    const hosts = [];
+    for (const label of new Set(labels)) {
+        for (const tld of tlds) hosts.push(`${label}.${tld}`);
+    }
+    return hosts;
+}
+
+/** True if the given page text names the company (umlaut- and case-insensitive) */
+function textMentionsCompany(text, name) {
+    if (!text) return false;
+    const haystack = transliterate(text.toLowerCase()).replace(/[^a-z0-9]+/g, ' ');
+    const tokens = companyTokens(name);
+    if (tokens.length === 0) return false;
+    if (` ${haystack} `.includes(` ${tokens.join(' ')} `)) return true;
+    // "RobertBosch" / "robert-bosch" spelled without separators
+    return tokens.length > 1 && haystack.replace(/ /g, '').includes(tokens.join(''));
+}
+
+function normalizeWebsite(website) {
+    if (!website) return null;
+    const withScheme = /^https?:\/\//i.test(website) ? website : `https://${website}`;
+    try {
+        const u = new URL(withScheme);
+        return `${u.origin}${u.pathname}`.replace(/\/+$/, '');
+    } catch (e) {
+        return null;
+    }
+}
+
+/** Resolves and caches the website base URL per company. One instance is shared by all extractors of a run. */
+class DomainResolver {
+    /** @param {{ politeness?: object }} [options] the run's politeness layer (see politeness.js) for the probe requests */
+    constructor({ politeness } = {}) {
+        this.cache = new Map();
+        this.politeness = politeness;
+    }
+
+    /**
+     * A given website is used as is; otherwise the domain is guessed and verified once per company name and region
+     * (the region decides which TLDs are tried).
+     * @param {object} browser Playwright browser
+     * @param {string} company company name
+     * @param {{ website?: string, region?: string }} [opts]
+     * @returns {Promise<string|null>} base URL without trailing slash, or null if nothing could be verified
+     */
+    resolve(browser, company, opts = {}) {
+        const explicit = normalizeWebsite(opts.website);
+        if (explicit) return Promise.resolve(explicit);
+        if (opts.website) Log.get().warning(`Domain resolver: ignoring invalid website "${opts.website}" for ${company}`);
+
+        const key = `${slugifyCompanyName(company) || company}|${(opts.region || '').trim().toLowerCase()}`;
+        if (!this.cache.has(key)) {
+            this.cache.set(key, this._resolve(browser, company, opts));
+        }
+        return this.cache.get(key);
+    }
+
+    async _resolve(browser, company, { region } = {}) {
+        const log = Log.get();
+        const context = await browser.newContext();
+        const page = await context.newPage();
+        try {
+            for (const host of candidateHosts(company, region)) {
+                const base = await this._verify(page, company, `https://${host}`);
+                if (base) {
+                    log.info(`Domain resolver: ${company} -> ${base}`);
+                    return base;
+                }
+            }
+            log.warning(`Domain resolver: no verified domain for ${company}`);
+            return null;
+        } finally {
+            await page.close();
+            await context.close();
+        }
+    }
+
+    async _verify(page, company, url) {
+        try {
+            await safeNavigate(page, url, { politeness: this.politeness });
+            const finalUrl = new URL(page.url());
+            const base = finalUrl.origin;
+            const title = await page.title();
+            if (textMentionsCompany(title, company)) return base;
+            await safeNavigate(page, joinUrl(base, '/impressum'), { politeness: this.politeness });
+            const text = await page.textContent('body');
+            if (textMentionsCompany(text, company)) return base;
+        } catch (e) {
+            // unreachable host or DNS failure: try next candidate
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    DomainResolver,
+    slugifyCompanyName,
+    stripLegalSuffix,
+    candidateHosts,
+    textMentionsCompany,
+    normalizeWebsite
+};
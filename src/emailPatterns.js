@@ -0,0 +1,152 @@
+/**
+ * E-Mail-Muster: Lernt das Adressschema einer Firma (vorname.nachname@, v.nachname@ …) aus gefundenen Adressen
+ * und erzeugt daraus Kandidaten-Adressen für benannte Kontakte ohne E-Mail.
+ * Erzeugte Adressen tragen immer `emailSource: 'inferred'` und eine `emailConfidence`.
+ */
+
+const { transliterate } = require('./utils');
+
+/** Local part builders; `f`/`l` are normalized first/last names */
+const PATTERNS = {
+    'first.last': (f, l) => `${f}.${l}`,
+    'f.last': (f, l) => `${f[0]}.${l}`,
+    'flast': (f, l) => `${f[0]}${l}`,
+    'firstlast': (f, l) => `${f}${l}`,
+    'first_last': (f, l) => `${f}_${l}`,
+    'first-last': (f, l) => `${f}-${l}`,
+    'last.first': (f, l) => `${l}.${f}`,
+    'lastf': (f, l) => `${l}${f[0]}`,
+    'first': f => f,
+    'last': (f, l) => l
+};
+
+// Most common scheme in DACH companies; used when no address of the company is known
+const DEFAULT_PATTERN = 'first.last';
+const DEFAULT_CONFIDENCE = 0.25;
+
+// Weight of one observation: matched against a known name vs. guessed from the address shape only
+const NAMED_EVIDENCE = 1;
+const SHAPE_EVIDENCE = 0.5;
+
+// Mail providers: an address there says nothing about the company's scheme, and guessing one would reach a stranger
+const FREEMAIL_DOMAINS = new Set([
+    'gmail.com', 'googlemail.com', 'gmx.de', 'gmx.net', 'gmx.at', 'gmx.ch', 'web.de', 't-online.de', 'freenet.de', 'arcor.de',
+    'posteo.de', 'mailbox.org', 'outlook.com', 'outlook.de', 'hotmail.com', 'hotmail.de', 'live.com', 'live.de', 'msn.com',
+    'yahoo.com', 'yahoo.de', 'icloud.com', 'me.com', 'mac.com', 'aol.com', 'aol.de', 'proton.me', 'protonmail.com', 'bluewin.ch',
+    'gmx.com', 'mail.de', 'email.de', 'online.de', 'vodafone.de', 'kabelmail.de', 'aon.at', 'chello.at'
+]);
+
+const GENERIC_LOCAL_PARTS = /^(info|kontakt|contact|office|mail|hello|hallo|service|support|sales|vertrieb|presse|press|marketing|jobs|karriere|career|bewerbung|hr|personal|datenschutz|privacy|webmaster|admin|noreply|no-reply|empfang|zentrale|buchhaltung|rechnung|einkauf)\d*$/i;
+
+/** "Jürgen" -> "juergen", "von Ahlen" -> "vonahlen", "Krüger-Weiß" -> "krueger-weiss" */
+function normalizeNamePart(name) {
+    if (!name) return null;
+    const s = transliterate(name.toLowerCase())
+        .replace(/\s+/g, '')
+        .replace(/[^a-z-]/g, '');
+    return s || null;
+}
+
+function splitEmail(email) {
+    const at = (email || '').lastIndexOf('@');
+    if (at < 1) return null;
+    return { local: email.slice(0, at).toLowerCase(), domain: email.slice(at + 1).toLowerCase() };
+}
+
+/** Guesses the pattern of an address from its shape alone ("t.mueller" -> f.last) */
+function patternFromShape(local) {
+    if (GENERIC_LOCAL_PARTS.test(local)) return null;
+    if (/^[a-z]{2,}(?:-[a-z]+)?\.[a-z]{2,}(?:-[a-z]+)?$/.test(local)) return 'first.last';
+    if (/^[a-z]\.[a-z]{2,}(?:-[a-z]+)?$/.test(local)) return 'f.last';
+    if (/^[a-z]{2,}_[a-z]{2,}$/.test(local)) return 'first_last';
+    return null;
+}
+
+/** Pattern names that reproduce `local` from the given name */
+function patternsForName(local, firstName, lastName) {
+    const f = normalizeNamePart(firstName);
+    const l = normalizeNamePart(lastName);
+    if (!f || !l) return [];
+    return Object.keys(PATTERNS).filter(p => PATTERNS[p](f, l) === local);
+}
+
+/**
+ * Learns the address pattern of `domain` from contact candidates.
+ * Candidates with name and email count as strong evidence, unnamed addresses only by their shape.
+ * @returns {{ pattern: string, confidence: number, observations: number }|null} null if no address of the domain was usable
+ */
+function learnPattern(candidates, domain) {
+    const votes = {};
+    let total = 0;
+    let observations = 0;
+    for (const c of candidates) {
+        const parts = splitEmail(c.email);
+        if (!parts || parts.domain !== domain || c.emailSource === 'inferred') continue;
+        const named = patternsForName(parts.local, c.firstName, c.lastName);
+        if (named.length > 0) {
+            // ambiguous matches (e.g. "first" vs "firstlast" for one-word names) split their vote
+            for (const p of named) votes[p] = (votes[p] || 0) + NAMED_EVIDENCE / named.length;
+            total += NAMED_EVIDENCE;
+            observations += 1;
+            continue;
+        }
+        const shaped = patternFromShape(parts.local);
+        if (shaped) {
+            votes[shaped] = (votes[shaped] || 0) + SHAPE_EVIDENCE;
+            total += SHAPE_EVIDENCE;
+            observations += 1;
+        }
+    }
+    const ranked = Object.keys(votes).sort((a, b) => votes[b] - votes[a]);
+    if (ranked.length === 0) return null;
+    const best = ranked[0];
+    // agreement share, discounted while evidence is thin
+    const confidence = (votes[best] / total) * (total / (total + 0.5));
+    return { pattern: best, confidence: Math.round(confidence * 100) / 100, observations };
+}
+
+/** Builds the address for a name with a learned pattern, or null if the name is incomplete */
+function synthesizeEmail(firstName, lastName, domain, pattern = DEFAULT_PATTERN) {
+    const f = normalizeNamePart(firstName);
+    const l = normalizeNamePart(lastName);
+    const build = PATTERNS[pattern];
+    if (!f || !l || !domain || !build) return null;
+    return `${build(f, l)}@${domain}`;
+}
+
+function isFreemailDomain(domain) {
+    return FREEMAIL_DOMAINS.has(String(domain || '').toLowerCase());
+}
+
+/**
+ * Tags scraped addresses (`emailSource: 'scraped'`) and fills in inferred addresses for named candidates without email.
+ * Addresses are only inferred on the company domain resolved from its website; without one (or on a mail
+ * provider's domain) nothing is inferred.
+ * Mutates and returns the given candidates.
+ */
+function applyInferredEmails(candidates, domain) {
+    for (const c of candidates) {
+        if (c.email) {
+            c.emailSource = c.emailSource || 'scraped';
+            c.emailConfidence = c.emailConfidence ?? 1;
+        }
+    }
+    const target = domain ? domain.toLowerCase() : null;
+    if (!target || isFreemailDomain(target)) return candidates;
+
+    const learned = learnPattern(candidates, target);
+    const pattern = learned ? learned.pattern : DEFAULT_PATTERN;
+    const confidence = learned ? learned.confidence : DEFAULT_CONFIDENCE;
+    for (const c of candidates) {
+        if (c.email) continue;
+        const email = synthesizeEmail(c.firstName, c.lastName, target, pattern);
+        if (!email) continue;
+        c.email = email;
+        c.emailSource = 'inferred';
+        c.emailConfidence = confidence;
+        c.emailPattern = pattern;
+    }
+    return candidates;
+}
+
+module.exports = { PATTERNS, normalizeNamePart, learnPattern, synthesizeEmail, applyInferredEmails, isFreemailDomain };
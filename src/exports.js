@@ -0,0 +1,258 @@
+/**
+ * Exporte für CRM und Adressbuch: CSV mit wählbaren Spalten und deutschen/englischen Überschriften, ein
+ * vCard-4.0-Bündel (.vcf) sowie Import-Dateien nach den Kontakt-Vorlagen von HubSpot und Salesforce.
+ * Die Dateien landen im Key-Value-Store des Laufs.
+ */
+
+const EXPORT_FORMATS = ['csv', 'vcard', 'hubspot', 'salesforce'];
+
+// Exportable contact fields with their German and English column headers, in default column order
+const EXPORT_FIELDS = {
+    company: { de: 'Firma', en: 'Company' },
+    salutation: { de: 'Anrede', en: 'Salutation' },
+    academicTitle: { de: 'Titel', en: 'Academic title' },
+    firstName: { de: 'Vorname', en: 'First name' },
+    lastName: { de: 'Nachname', en: 'Last name' },
+    jobTitle: { de: 'Position', en: 'Job title' },
+    email: { de: 'E-Mail', en: 'Email' },
+    emailSource: { de: 'E-Mail-Herkunft', en: 'Email origin' },
+    phone: { de: 'Telefon', en: 'Phone' },
+    phoneType: { de: 'Telefontyp', en: 'Phone type' },
+    location: { de: 'Ort', en: 'Location' },
+    linkedInUrl: { de: 'Profil-URL', en: 'Profile URL' },
+    source: { de: 'Quelle', en: 'Source' },
+    sources: { de: 'Quellen', en: 'Sources' },
+    score: { de: 'Score', en: 'Score' },
+    confidence: { de: 'Sicherheit', en: 'Confidence' },
+    scrapedAt: { de: 'Abgerufen am', en: 'Scraped at' },
+    change: { de: 'Änderung', en: 'Change' }
+};
+
+const SOURCE_LABELS = { website: 'Website', linkedin: 'LinkedIn', xing: 'XING', impressum: 'Impressum' };
+
+const EXPORT_KEYS = {
+    csv: 'CONTACTS.csv',
+    vcard: 'CONTACTS.vcf',
+    hubspot: 'HUBSPOT_CONTACTS.csv',
+    salesforce: 'SALESFORCE_CONTACTS.csv'
+};
+
+/**
+ * CSV columns from the `csvColumns` input: field names (header from the language) or { field, header } objects;
+ * all fields without a value.
+ * @returns {{ field: string, header: string }[]}
+ */
+function resolveColumns(columns, language = 'de') {
+    if (columns === null || columns === undefined) {
+        return Object.entries(EXPORT_FIELDS).map(([field, headers]) => ({ field, header: headers[language] }));
+    }
+    if (!Array.isArray(columns) || columns.length === 0) throw new Error('Invalid csvColumns: expected a non-empty array');
+    return columns.map((col) => {
+        const field = typeof col === 'string' ? col : col && col.field;
+        if (!EXPORT_FIELDS[field]) throw new Error(`Invalid csvColumns: unknown field "${field}" (known: ${Object.keys(EXPORT_FIELDS).join(', ')})`);
+        const header = typeof col === 'object' && typeof col.header === 'string' && col.header.trim() ? col.header.trim() : EXPORT_FIELDS[field][language];
+        return { field, header };
+    });
+}
+
+/** LinkedIn and XING profile URLs of a contact; `linkedInUrl` holds either */
+function profileUrls(contact) {
+    const url = contact.linkedInUrl || null;
+    const xing = Boolean(url) && /(^|\.)xing\.com$/i.test(hostOf(url));
+    return { linkedIn: url && !xing ? url : null, xing: xing ? url : null };
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * One CSV cell, quoted where needed. Spreadsheets run cells starting with `=`, `+`, `-` or `@` as formulas,
+ * so such scraped text gets a leading `'`; E.164 phone numbers stay as they are.
+ */
+function csvCell(value, delimiter) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (/^[=+\-@]/.test(text) && !/^\+\d{6,15}$/.test(text)) text = `'${text}`;
+    return text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** RFC 4180 table with CRLF line ends */
+function csvTable(headers, rows, delimiter) {
+    return [headers, ...rows].map(row => row.map(v => csvCell(v, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/** Cell value of a field: lists joined, numbers with decimal comma for German headers */
+function fieldValue(contact, field, language) {
+    const value = contact[field];
+    if (Array.isArray(value)) return value.map(s => SOURCE_LABELS[s] || s).join(', ');
+    if (field === 'source') return SOURCE_LABELS[value] || value;
+    if (typeof value === 'number' && language === 'de') return String(value).replace('.', ',');
+    return value;
+}
+
+/**
+ * Contacts as CSV. German headers default to `;` as delimiter (Excel with German locale), English ones to `,`;
+ * a byte order mark lets Excel detect UTF-8.
+ * @param {object[]} contacts dataset items
+ * @param {{ columns?: Array<string|{ field: string, header?: string }>, language?: 'de'|'en', delimiter?: string }} [options]
+ */
+function toCsv(contacts, { columns = null, language = 'de', delimiter = language === 'de' ? ';' : ',' } = {}) {
+    const cols = resolveColumns(columns, language);
+    const rows = contacts.map(c => cols.map(col => fieldValue(c, col.field, language)));
+    return `\uFEFF${csvTable(cols.map(col => col.header), rows, delimiter)}`;
+}
+
+/** HubSpot contact import: default property labels, so HubSpot maps the columns on its own */
+function toHubSpotCsv(contacts) {
+    const headers = ['Salutation', 'First Name', 'Last Name', 'Email', 'Phone Number', 'Mobile Phone Number', 'Job Title', 'Company Name', 'City', 'LinkedIn URL', 'Lead Source'];
+    const rows = contacts.map((c) => {
+        const mobile = c.phoneType === 'mobile';
+        return [
+            [c.salutation, c.academicTitle].filter(Boolean).join(' ') || null,
+            c.firstName,
+            c.lastName,
+            c.email,
+            mobile ? null : c.phone,
+            mobile ? c.phone : null,
+            c.jobTitle,
+            c.company,
+            c.location,
+            profileUrls(c).linkedIn,
+            SOURCE_LABELS[c.source] || c.source
+        ];
+    });
+    return csvTable(headers, rows, ',');
+}
+
+/** Salesforce picklist value for Salutation: academic title first, otherwise Mr./Ms. */
+function salesforceSalutation(contact) {
+    if (/^prof/i.test(contact.academicTitle || '')) return 'Prof.';
+    if (/^dr/i.test(contact.academicTitle || '')) return 'Dr.';
+    return { Herr: 'Mr.', Frau: 'Ms.' }[contact.salutation] || null;
+}
+
+/**
+ * Salesforce Data Import Wizard (contacts and accounts): the company becomes the account, the source the
+ * Lead Source; Salesforce has no standard field for social profiles, so LinkedIn/XING URLs go into Description.
+ * Last Name is required there: contacts without one (switchboard, info@) get the company name.
+ */
+function toSalesforceCsv(contacts) {
+    const headers = ['Salutation', 'First Name', 'Last Name', 'Title', 'Email', 'Phone', 'Mobile', 'Account Name', 'Mailing City', 'Lead Source', 'Description'];
+    const rows = contacts.map((c) => {
+        const mobile = c.phoneType === 'mobile';
+        const { linkedIn, xing } = profileUrls(c);
+        const description = [linkedIn && `LinkedIn: ${linkedIn}`, xing && `XING: ${xing}`].filter(Boolean).join('\n') || null;
+        return [
+            salesforceSalutation(c),
+            c.firstName,
+            c.lastName || c.company,
+            c.jobTitle,
+            c.email,
+            mobile ? null : c.phone,
+            mobile ? c.phone : null,
+            c.company,
+            c.location,
+            SOURCE_LABELS[c.source] || c.source,
+            description
+        ];
+    });
+    return csvTable(headers, rows, ',');
+}
+
+/** Escapes a vCard text value (RFC 6350, 3.4) */
+function vText(value) {
+    return String(value ?? '').replace(/\\/g, '\\\\').replace(/,/g, '\\,').replace(/;/g, '\\;').replace(/\r?\n/g, '\\n');
+}
+
+/** Folds a content line after 75 octets; continuation lines start with a space */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const ch of line) {
+        const size = Buffer.byteLength(ch);
+        const limit = parts.length === 0 ? 75 : 74;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += ch;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/** vCard 4.0 of one contact; contacts without a name (switchboard, info@) become an organization card */
+function toVCard(contact) {
+    const named = Boolean(contact.firstName || contact.lastName);
+    const fullName = named
+        ? [contact.academicTitle, contact.firstName, contact.lastName].filter(Boolean).join(' ')
+        : contact.company;
+    const { linkedIn, xing } = profileUrls(contact);
+    const lines = ['BEGIN:VCARD', 'VERSION:4.0'];
+    lines.push(named ? 'KIND:individual' : 'KIND:org');
+    lines.push(`FN:${vText(fullName)}`);
+    if (named) lines.push(`N:${[contact.lastName, contact.firstName, '', contact.academicTitle, ''].map(vText).join(';')}`);
+    const gender = { Herr: 'M', Frau: 'F' }[contact.salutation];
+    if (gender) lines.push(`GENDER:${gender}`);
+    if (contact.company) lines.push(`ORG:${vText(contact.company)}`);
+    if (contact.jobTitle) lines.push(`TITLE:${vText(contact.jobTitle)}`);
+    if (contact.email) lines.push(`EMAIL;TYPE=work:${contact.email}`);
+    if (contact.phone) lines.push(`TEL;VALUE=uri;TYPE="${contact.phoneType === 'mobile' ? 'cell' : 'work,voice'}":tel:${contact.phone}`);
+    if (contact.location) lines.push(`ADR;TYPE=work:;;;${vText(contact.location)};;;`);
+    if (linkedIn) lines.push(`URL;TYPE=linkedin:${linkedIn}`, `X-SOCIALPROFILE;TYPE=linkedin:${linkedIn}`);
+    if (xing) lines.push(`URL;TYPE=xing:${xing}`, `X-SOCIALPROFILE;TYPE=xing:${xing}`);
+    const sources = (contact.sources && contact.sources.length > 0 ? contact.sources : [contact.source]).filter(Boolean);
+    if (sources.length > 0) lines.push(`NOTE:${vText(`Quelle: ${sources.map(s => SOURCE_LABELS[s] || s).join(', ')}`)}`);
+    if (contact.scrapedAt) lines.push(`REV:${new Date(contact.scrapedAt).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '')}`);
+    lines.push('END:VCARD');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/** All contacts in one .vcf file, importable in Outlook, Apple Contacts and CRMs */
+function toVCardBundle(contacts) {
+    return contacts.map(toVCard).join('');
+}
+
+/**
+ * Writes the requested export files to the Key-Value-Store (keys see EXPORT_KEYS).
+ * @param {{ setValue: Function }} store Key-Value-Store of the run
+ * @param {object[]} contacts dataset items of the run
+ * @param {{ formats?: string[], language?: 'de'|'en', columns?: Array, delimiter?: string }} [options]
+ * @returns {Promise<string[]>} the keys written
+ */
+async function writeExports(store, contacts, { formats = EXPORT_FORMATS, language = 'de', columns = null, delimiter } = {}) {
+    const files = {
+        csv: () => [toCsv(contacts, { columns, language, ...(delimiter ? { delimiter } : {}) }), 'text/csv; charset=utf-8'],
+        vcard: () => [toVCardBundle(contacts), 'text/vcard; charset=utf-8'],
+        hubspot: () => [toHubSpotCsv(contacts), 'text/csv; charset=utf-8'],
+        salesforce: () => [toSalesforceCsv(contacts), 'text/csv; charset=utf-8']
+    };
+    const written = [];
+    for (const format of formats) {
+        const [content, contentType] = files[format]();
+        await store.setValue(EXPORT_KEYS[format], content, { contentType });
+        written.push(EXPORT_KEYS[format]);
+    }
+    return written;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_FIELDS,
+    EXPORT_KEYS,
+    resolveColumns,
+    toCsv,
+    toHubSpotCsv,
+    toSalesforceCsv,
+    toVCard,
+    toVCardBundle,
+    writeExports
+};
@@ -1,169 +1,327 @@
 /**
  * Extractor-Module: Implementiert Quellen-spezifische Extraktionslogik.
- * Jede Funktion gibt ein Array von Kontakt-Objekten zurück oder [] bei Fehler.
- * Kontakt-Objekt: { company, location, salutation, firstName, lastName, email, phone, jobTitle, linkedInUrl, source }
+ * Jede Funktion gibt ein Array von Kontakt-Objekten zurück oder [] bei Fehler; LinkedIn/XING melden Login-Wall,
+ * abgelaufene Sitzung, Captcha und erschöpftes Profil-Budget als SourceBlockedError (siehe sessions.js).
+ * Kontakt-Objekt: { company, location, salutation, academicTitle, firstName, lastName, email, phone, jobTitle, linkedInUrl, source }
  */
 
-const { PlaywrightCrawler, Dataset, Log } = require('crawlee');
-const { RateLimiter, domainFromUrl } = require('./utils');
-const pRetry = require('p-retry');
+const { Configuration, RequestQueue, Log } = require('crawlee');
+const { joinUrl } = require('./utils');
+const { defaultRoleMatcher } = require('./roles');
+const { parseImpressum, impressumContacts } = require('./impressum');
+const { firstPhoneInText } = require('./phones');
+const { PRIORITY_SCORE, pageKey, rankLinks, parseSitemap } = require('./siteCrawl');
+const { structuredContacts, parseVCard } = require('./structuredData');
+const { salutationFromText, withoutHonorifics } = require('./salutation');
+const { PLATFORM_URLS, SourceBlockedError, detectBlock } = require('./sessions');
+const { visitEntry } = require('./runReport');
+const { createContact } = require('./contact');
+const { Politeness, PolitenessError } = require('./politeness');
 
-const rateLimiter = new RateLimiter(1000);
+// Used when no run-wide instance is passed in (single extractor calls, domain resolution outside a run)
+const defaultPoliteness = new Politeness();
 
-async function safeNavigate(page, url) {
-    await rateLimiter.waitFor(domainFromUrl(url) || 'global');
-    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 45000 });
-}
+// Website crawl bounds: pages per company, link depth from the homepage, sitemaps read (index + children)
+const DEFAULT_PAGE_BUDGET = 8;
+const MAX_CRAWL_DEPTH = 2;
+const MAX_SITEMAPS = 4;
+const MAX_VCARDS = 10;
+// Links enqueued per ranking (sitemap or page), as a multiple of the page budget; the rest would never be visited
+const ENQUEUE_FACTOR = 3;
 
-/** Extract contacts from a company's public website. Strategy:
- * - Try common pages: /team, /about, /company/team, /about-us, /kontakt, /impressum
- * - Scrape pages for typical selectors and patterns
+/**
+ * Sends one request through the politeness layer (see politeness.js) and feeds the response back to it.
+ * `net.visits` collects URL and HTTP status (or error) for the run report, `net.politeness` is the run's shared instance.
  */
-async function extractFromWebsite(browser, company, region) {
-    const log = Log.get();
-    const normalized = company;
-    const candidates = [];
-    const browserContext = await browser.newContext();
-    const page = await browserContext.newPage();
+async function politely(url, net, send) {
+    const { visits = null, politeness = defaultPoliteness } = net || {};
+    try {
+        await politeness.acquire(url);
+        const response = await send();
+        politeness.report(url, response);
+        if (visits) visits.push(visitEntry(url, response));
+        return response;
+    } catch (err) {
+        if (visits) visits.push(visitEntry(url, null, err));
+        throw err;
+    }
+}
+
+/** Opens `url` in `page` (see politely for `net`); throws PolitenessError for URLs robots.txt or the request cap rule out */
+async function safeNavigate(page, url, net = {}) {
+    return politely(url, net, () => page.goto(url, { waitUntil: 'domcontentloaded', timeout: 45000 }));
+}
 
-    const tryPaths = ['/team', '/about', '/about-us', '/company/team', '/team.html', '/company', '/contact', '/kontakt', '/impressum', '/about-us/team'];
+/** GET request in the browser context (sitemaps, vCards), sent like safeNavigate */
+async function fetchInContext(browserContext, url, net = {}) {
+    return politely(url, net, () => browserContext.request.get(url, { timeout: 20000 }));
+}
 
-    // Heuristic to try primary domain guesses: companyname.com, companyname.de, companyname.eu
-    const hostGuesses = [
-        `${normalized}.com`,
-        `${normalized}.de`,
-        `${normalized}.eu`,
-        `${normalized}.org`
-    ];
+/** Company pages on LinkedIn/XING list employees below a fixed sub path */
+function companyPeopleUrl(companyUrl, subPath) {
+    return joinUrl(companyUrl.split(/[?#]/)[0].replace(/\/(people|employees)\/?$/, ''), subPath);
+}
 
-    async function tryUrl(url) {
+/** Contacts from the vCard files (.vcf) linked on a page */
+async function linkedVCardContacts(page, company, net) {
+    const log = Log.get();
+    const candidates = [];
+    const hrefs = await page.$$eval('a[href]', as => as.map(a => a.href));
+    const vcards = [...new Set(hrefs.filter(h => /^https?:.*\.vcf(?:$|[?#])/i.test(h)))].slice(0, MAX_VCARDS);
+    for (const url of vcards) {
         try {
-            await safeNavigate(page, url);
-            const html = await page.content();
-            // basic extraction heuristics
-            const nodes = await page.$$('[href^="mailto:"], a[href^="tel:"]');
-            const mails = new Set();
-            const phones = new Set();
-            for (const n of nodes) {
-                const href = await n.getAttribute('href');
-                if (!href) continue;
-                if (href.startsWith('mailto:')) {
-                    mails.add(href.replace(/^mailto:/, '').split('?')[0]);
-                }
-                if (href.startsWith('tel:')) {
-                    phones.add(href.replace(/^tel:/, '').split('?')[0]);
-                }
+            const response = await fetchInContext(page.context(), url, net);
+            if (response.ok()) candidates.push(...parseVCard(await response.text(), company));
+        } catch (err) {
+            log.warning(`Website extractor: failed to read vCard ${url} — ${err.message}`);
+        }
+    }
+    return candidates;
+}
+
+/** Contacts on one website page, plus mailto/tel links as generic entries.
+ * People come from structured data (JSON-LD, microformats, linked vCards) if the page has any;
+ * only pages without it fall back to regex heuristics on team/people blocks.
+ */
+async function contactsOnPage(page, company, roleMatcher, net) {
+    const candidates = [];
+    const structured = [...structuredContacts(await page.content(), company), ...await linkedVCardContacts(page, company, net)];
+    candidates.push(...structured);
+    // basic extraction heuristics
+    const nodes = await page.$$('[href^="mailto:"], a[href^="tel:"]');
+    const mails = new Set();
+    const phones = new Set();
+    for (const n of nodes) {
+        const href = await n.getAttribute('href');
+        if (!href) continue;
+        if (href.startsWith('mailto:')) {
+            mails.add(href.replace(/^mailto:/, '').split('?')[0]);
+        }
+        if (href.startsWith('tel:')) {
+            phones.add(href.replace(/^tel:/, '').split('?')[0]);
+        }
+    }
+    // fallback: elements with role titles
+    const people = structured.length > 0 ? [] : await page.$$('[class*="team"], [class*="people"], [class*="member"], [class*="employee"], [class*="staff"]');
+    for (const p of people.slice(0, 20)) {
+        try {
+            const text = (await p.innerText()) || '';
+            const mailMatch = text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g);
+            const nameMatch = withoutHonorifics(text).match(/([A-ZÄÖÜ][a-zäöüß]+\s[A-ZÄÖÜ][a-zäöüß]+)/);
+            let firstName = null, lastName = null;
+            if (nameMatch) {
+                const parts = nameMatch[0].split(' ');
+                firstName = parts[0];
+                lastName = parts.slice(1).join(' ');
             }
-            // also try to find elements with role titles
-            const people = await page.$$('[class*="team"], [class*="people"], [class*="member"], [class*="employee"], [class*="staff"]');
-            for (const p of people.slice(0, 20)) {
-                try {
-                    const text = (await p.innerText()) || '';
-                    const mailMatch = text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g);
-                    const phoneMatch = text.match(/\+?[0-9][0-9()\-\s]{6,}/g);
-                    const nameMatch = text.match(/([A-ZÄÖÜ][a-zäöüß]+\s[A-ZÄÖÜ][a-zäöüß]+)/);
-                    const titleMatch = text.match(/(CTO|CIO|Head of IT|IT-Leiter|IT Manager|VP Engineering|Engineering Manager|HR Director|Recruiting Manager|Head of Talent Acquisition)/i);
-                    let firstName = null, lastName = null;
-                    if (nameMatch) {
-                        const parts = nameMatch[0].split(' ');
-                        firstName = parts[0];
-                        lastName = parts.slice(1).join(' ');
-                    }
-                    const jobTitle = titleMatch ? titleMatch[0] : null;
-                    const email = mailMatch ? mailMatch[0] : null;
-                    const phone = phoneMatch ? phoneMatch[0] : null;
-                    if (email || phone) {
-                        candidates.push({ company, location: null, salutation: null, firstName, lastName, email, phone, jobTitle, linkedInUrl: null, source: 'website' });
-                    }
-                } catch (e) {
-                    // ignore per-person errors
-                }
+            const { salutation, academicTitle } = salutationFromText(text, firstName, lastName);
+            const jobTitle = roleMatcher.findTitle(text);
+            const email = mailMatch ? mailMatch[0] : null;
+            const phone = firstPhoneInText(text);
+            if (email || phone) {
+                candidates.push(createContact('website', { company, salutation, academicTitle, firstName, lastName, email, phone, jobTitle }));
             }
+        } catch (e) {
+            // ignore per-person errors
+        }
+    }
 
-            // fallback: if mailto links present but no people blocks, create generic entries
-            for (const m of mails) candidates.push({ company, location: null, salutation: null, firstName: null, lastName: null, email: m, phone: null, jobTitle: null, linkedInUrl: null, source: 'website' });
-            for (const p of phones) candidates.push({ company, location: null, salutation: null, firstName: null, lastName: null, email: null, phone: p, jobTitle: null, linkedInUrl: null, source: 'website' });
+    // fallback: if mailto links present but no people blocks, create generic entries
+    for (const m of mails) candidates.push(createContact('website', { company, email: m }));
+    for (const p of phones) candidates.push(createContact('website', { company, phone: p }));
+    return candidates;
+}
 
+/** Page URLs listed in the site's sitemap.xml (following a sitemap index one level); [] if there is none */
+async function sitemapPages(browserContext, baseUrl, net) {
+    const log = Log.get();
+    const pages = [];
+    const pending = [joinUrl(baseUrl, '/sitemap.xml')];
+    let fetched = 0;
+    while (pending.length > 0 && fetched < MAX_SITEMAPS) {
+        const url = pending.shift();
+        fetched += 1;
+        try {
+            const response = await fetchInContext(browserContext, url, net);
+            if (!response.ok()) continue;
+            const { pages: found, sitemaps } = parseSitemap(await response.text());
+            pages.push(...found);
+            pending.push(...sitemaps);
         } catch (err) {
-            log.warning(`Website extractor: failed to open ${url} — ${err.message}`);
+            log.warning(`Website extractor: failed to read sitemap ${url} — ${err.message}`);
         }
     }
+    return pages;
+}
 
-    // Try guessed hosts
-    for (const host of hostGuesses) {
-        for (const path of tryPaths) {
-            const url = `https://${host}${path}`;
-            await tryUrl(url);
-            if (candidates.length >= 4) break;
-        }
-        if (candidates.length >= 4) break;
+/**
+ * A new unnamed queue for one crawl, so two companies on the same site never share handled pages.
+ * It is dropped after the crawl; if a crash skips that, the run's data retention removes it like any unnamed storage.
+ */
+async function openCrawlQueue() {
+    const { id } = await Configuration.getStorageClient().requestQueues().getOrCreate();
+    return RequestQueue.open(id);
+}
+
+/** Extract contacts from a company's public website. Strategy:
+ * - Bounded same-site crawl through a crawlee RequestQueue, starting at the resolved base URL
+ * - Pages from sitemap.xml and links found on visited pages are ranked by keywords (Team, Management, Vorstand …,
+ *   see siteCrawl.js); the most relevant ones jump the queue, irrelevant ones are never enqueued
+ * - At most `pageBudget` pages are opened, each in a fresh page of one browser context
+ * Returns [] if no base URL could be resolved for the company (see DomainResolver).
+ * Every request is recorded in `visits` (URL, HTTP status or error) if given and paced by `politeness`
+ * (robots.txt, per-domain slots, backoff and request cap); the other extractors do the same.
+ */
+async function extractFromWebsite(browser, company, region, { baseUrl, roleMatcher = defaultRoleMatcher, pageBudget = DEFAULT_PAGE_BUDGET, visits = null, politeness } = {}) {
+    const log = Log.get();
+    const net = { visits, politeness };
+    const candidates = [];
+    if (!baseUrl) return candidates;
+    const browserContext = await browser.newContext();
+    const queue = await openCrawlQueue();
+
+    async function enqueue(ranked, depth) {
+        // `ranked` is best first: only the top links can still be reached within the page budget
+        const top = ranked.slice(0, pageBudget * ENQUEUE_FACTOR);
+        // forefront requests are taken last-in-first-out, so the best one is added last
+        const priority = top.filter(l => l.score >= PRIORITY_SCORE).reverse();
+        const rest = top.filter(l => l.score < PRIORITY_SCORE);
+        for (const l of priority) await queue.addRequest({ url: l.url, uniqueKey: pageKey(l.url), userData: { depth } }, { forefront: true });
+        for (const l of rest) await queue.addRequest({ url: l.url, uniqueKey: pageKey(l.url), userData: { depth } });
     }
 
-    await page.close();
-    await browserContext.close();
+    try {
+        const fromSitemap = await sitemapPages(browserContext, baseUrl, net);
+        await enqueue(rankLinks(fromSitemap.map(href => ({ href })), baseUrl), 1);
+        // the homepage goes first: its navigation links to the relevant pages on most sites
+        await queue.addRequest({ url: baseUrl, uniqueKey: pageKey(baseUrl), userData: { depth: 0 } }, { forefront: true });
+
+        let visited = 0;
+        let request;
+        while (visited < pageBudget && (request = await queue.fetchNextRequest())) {
+            visited += 1;
+            const page = await browserContext.newPage();
+            try {
+                await safeNavigate(page, request.url, net);
+                candidates.push(...await contactsOnPage(page, company, roleMatcher, net));
+                if (request.userData.depth < MAX_CRAWL_DEPTH) {
+                    const links = await page.$$eval('a[href]', as => as.map(a => ({ href: a.href, text: a.textContent || '' })));
+                    await enqueue(rankLinks(links, baseUrl), request.userData.depth + 1);
+                }
+            } catch (err) {
+                log.warning(`Website extractor: failed to open ${request.url} — ${err.message}`);
+                if (err instanceof PolitenessError && err.reason === 'domain_cap') break;
+            } finally {
+                await page.close();
+                await queue.markRequestHandled(request);
+            }
+        }
+    } finally {
+        await queue.drop();
+        await browserContext.close();
+    }
     return candidates;
 }
 
-/** LinkedIn extractor: tries public search pages and profile pages.
- * Note: LinkedIn often requires auth — this function tries public profile access and extracts
- * names, titles and public contact info if present.
+/**
+ * Login wall, expired session or captcha on a LinkedIn/XING page; the HTML is only checked on pages without content.
+ * A captcha also makes the politeness layer back off from the platform.
+ */
+async function pageBlock(page, session, hasContent, net) {
+    const info = { url: page.url(), title: await page.title() };
+    if (!hasContent) info.html = await page.content();
+    const blocked = detectBlock(info, { authenticated: Boolean(session && session.authenticated) });
+    if (blocked === 'captcha') ((net && net.politeness) || defaultPoliteness).penalize(info.url);
+    return blocked;
+}
+
+/** robots.txt and request-cap refusals on LinkedIn/XING end the source like a login wall would */
+function asSourceBlock(err, source, candidates) {
+    return err instanceof PolitenessError ? new SourceBlockedError(source, err.reason, candidates) : err;
+}
+
+/** Browser context with the session's cookies, anonymous without a session */
+function sessionContext(browser, session) {
+    return browser.newContext(session && session.storageState ? { storageState: session.storageState } : {});
+}
+
+/**
+ * Opens a LinkedIn/XING profile within the account's daily budget and returns its body text;
+ * null if the page could not be read. Throws SourceBlockedError (with the contacts found so far)
+ * when the budget is used up or the platform answers with a login wall or captcha.
  */
-async function extractFromLinkedIn(browser, company, region) {
+async function profileText(context, profileUrl, source, session, candidates, net) {
     const log = Log.get();
+    if (session && session.budget && !(await session.budget.take())) throw new SourceBlockedError(source, 'budget_exhausted', candidates);
+    const page = await context.newPage();
+    try {
+        await safeNavigate(page, profileUrl, net);
+        const text = await page.textContent('body');
+        const hasContent = Boolean(text && text.length >= 50);
+        const blocked = await pageBlock(page, session, hasContent, net);
+        if (blocked) throw new SourceBlockedError(source, blocked, candidates);
+        return hasContent ? text : null;
+    } catch (err) {
+        if (err instanceof SourceBlockedError) throw err;
+        if (err instanceof PolitenessError) throw asSourceBlock(err, source, candidates);
+        log.warning(`${source === 'xing' ? 'XING' : 'LinkedIn'} extractor: failed to read profile ${profileUrl} — ${err.message}`);
+        return null;
+    } finally {
+        await page.close();
+    }
+}
+
+/** LinkedIn extractor: tries search or company people pages and opens the listed profiles.
+ * Search results usually require a login: `session` (see sessions.js) supplies cookies and the daily profile-view budget.
+ * If the company page is known (`companyUrl`), its people list is used instead of a search.
+ * `platformUrl` replaces https://www.linkedin.com for search and relative profile links.
+ * Throws SourceBlockedError on login wall, expired session, captcha, exhausted budget, robots.txt or request cap.
+ */
+async function extractFromLinkedIn(browser, company, region, { companyUrl, roleMatcher = defaultRoleMatcher, platformUrl = PLATFORM_URLS.linkedin, session = null, visits = null, politeness } = {}) {
+    const log = Log.get();
+    const net = { visits, politeness };
     const candidates = [];
-    const context = await browser.newContext();
+    const context = await sessionContext(browser, session);
     const page = await context.newPage();
 
-    // Use LinkedIn people search URL (public query parameters may show partial results without login in some regions)
-    const query = encodeURIComponent(`${company} (CTO OR CIO OR "Head of IT" OR "IT-Leiter" OR "VP Engineering" OR "Head of Talent" OR "Recruiting Manager")`);
-    const searchUrl = `https://www.linkedin.com/search/results/people/?keywords=${query}`;
+    const query = encodeURIComponent(`${company} (${roleMatcher.searchQuery()})`);
+    const searchUrl = companyUrl
+        ? companyPeopleUrl(companyUrl, '/people/')
+        : `${platformUrl}/search/results/people/?keywords=${query}`;
 
     try {
-        await safeNavigate(page, searchUrl);
-        // Try extracting a few result cards
-        const cards = await page.$$('a.search-result__result-link, a.app-aware-link');
-        for (const c of cards.slice(0, 10)) {
-            try {
-                const href = await c.getAttribute('href');
-                if (!href) continue;
-                const profileUrl = href.startsWith('http') ? href : `https://www.linkedin.com${href}`;
-                // open profile
-                const detailPage = await context.newPage();
-                try {
-                    await safeNavigate(detailPage, profileUrl);
-                    const text = await detailPage.textContent('body');
-                    if (!text || text.length < 50) { await detailPage.close(); continue; }
-                    const nameMatch = text.match(/([A-ZÄÖÜ][a-zäöüß]+(?:\s[A-ZÄÖÜ][a-zäöüß]+)+)/);
-                    const titleMatch = text.match(/(CTO|CIO|Head of IT|VP Engineering|Engineering Manager|Head of Talent Acquisition|Recruiting Manager|HR Director|IT-Leiter)/i);
-                    const emailMatch = text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g);
-                    const phoneMatch = text.match(/\+?[0-9][0-9()\-\s]{6,}/g);
-                    let firstName = null, lastName = null;
-                    if (nameMatch) {
-                        const parts = nameMatch[0].split(' ');
-                        firstName = parts[0];
-                        lastName = parts.slice(1).join(' ');
-                    }
-                    const candidate = {
-                        company,
-                        location: null,
-                        salutation: null,
-                        firstName,
-                        lastName,
-                        email: emailMatch ? emailMatch[0] : null,
-                        phone: phoneMatch ? phoneMatch[0] : null,
-                        jobTitle: titleMatch ? titleMatch[0] : null,
-                        linkedInUrl: profileUrl,
-                        source: 'linkedin'
-                    };
-                    candidates.push(candidate);
-                } catch (e) {
-                    // ignore
-                } finally {
-                    await detailPage.close();
-                }
-            } catch (e) { /* ignore per-card errors */ }
+        await safeNavigate(page, searchUrl, net);
+        const hrefs = await page.$$eval('a.search-result__result-link, a.app-aware-link', as => as.map(a => a.getAttribute('href')).filter(Boolean));
+        const blocked = await pageBlock(page, session, hrefs.length > 0, net);
+        if (blocked) throw new SourceBlockedError('linkedin', blocked, candidates);
+        for (const href of hrefs.slice(0, 10)) {
+            const profileUrl = href.startsWith('http') ? href : `${platformUrl}${href}`;
+            const text = await profileText(context, profileUrl, 'linkedin', session, candidates, net);
+            if (!text) continue;
+            const nameMatch = withoutHonorifics(text).match(/([A-ZÄÖÜ][a-zäöüß]+(?:\s[A-ZÄÖÜ][a-zäöüß]+)+)/);
+            const emailMatch = text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g);
+            let firstName = null, lastName = null;
+            if (nameMatch) {
+                const parts = nameMatch[0].split(' ');
+                firstName = parts[0];
+                lastName = parts.slice(1).join(' ');
+            }
+            // "Dr. Erika Musterfrau (sie/ihr)"
+            const { salutation, academicTitle } = salutationFromText(text, firstName, lastName);
+            candidates.push(createContact('linkedin', {
+                company,
+                salutation,
+                academicTitle,
+                firstName,
+                lastName,
+                email: emailMatch ? emailMatch[0] : null,
+                phone: firstPhoneInText(text),
+                jobTitle: roleMatcher.findTitle(text),
+                linkedInUrl: profileUrl
+            }));
         }
     } catch (err) {
+        if (err instanceof SourceBlockedError || err instanceof PolitenessError) throw asSourceBlock(err, 'linkedin', candidates);
         log.warning(`LinkedIn extractor failed for ${company}: ${err.message}`);
     } finally {
         await page.close();
@@ -172,42 +330,44 @@ async function extractFromLinkedIn(browser, company, region) {
     return candidates;
 }
 
-/** XING extractor for DACH region: tries public profiles and company pages */
-async function extractFromXing(browser, company, region) {
+/** XING extractor for DACH region: tries search or company employee pages and opens the listed profiles.
+ * `session` (see sessions.js) supplies cookies and the daily profile-view budget.
+ * If the company page is known (`companyUrl`), its employee list is used instead of a search.
+ * `platformUrl` replaces https://www.xing.com for search and relative profile links.
+ * Throws SourceBlockedError on login wall, expired session, captcha, exhausted budget, robots.txt or request cap.
+ */
+async function extractFromXing(browser, company, region, { companyUrl, roleMatcher = defaultRoleMatcher, platformUrl = PLATFORM_URLS.xing, session = null, visits = null, politeness } = {}) {
     const log = Log.get();
+    const net = { visits, politeness };
     const candidates = [];
-    const context = await browser.newContext();
+    const context = await sessionContext(browser, session);
     const page = await context.newPage();
-    const query = encodeURIComponent(`${company} (CTO OR CIO OR "Head of IT" OR "IT-Leiter" OR "VP Engineering" OR "Recruiting")`);
-    const searchUrl = `https://www.xing.com/search?keywords=${query}`;
+    const query = encodeURIComponent(`${company} (${roleMatcher.searchQuery()})`);
+    const searchUrl = companyUrl
+        ? companyPeopleUrl(companyUrl, '/employees')
+        : `${platformUrl}/search?keywords=${query}`;
     try {
-        await safeNavigate(page, searchUrl);
-        const links = await page.$$('a.user-card__link, a.search-result__link');
-        for (const l of links.slice(0, 8)) {
-            try {
-                const href = await l.getAttribute('href');
-                if (!href) continue;
-                const profileUrl = href.startsWith('http') ? href : `https://www.xing.com${href}`;
-                const detailPage = await context.newPage();
-                try {
-                    await safeNavigate(detailPage, profileUrl);
-                    const text = await detailPage.textContent('body');
-                    const nameMatch = text && text.match(/([A-ZÄÖÜ][a-zäöüß]+\s[A-ZÄÖÜ][a-zäöüß]+)/);
-                    const titleMatch = text && text.match(/(CTO|CIO|Head of IT|IT-Leiter|VP Engineering|Engineering Manager|Recruiting Manager)/i);
-                    const emailMatch = text && text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g);
-                    const phoneMatch = text && text.match(/\+?[0-9][0-9()\-\s]{6,}/g);
-                    let firstName = null, lastName = null;
-                    if (nameMatch) {
-                        const parts = nameMatch[0].split(' ');
-                        firstName = parts[0];
-                        lastName = parts.slice(1).join(' ');
-                    }
-                    candidates.push({ company, location: null, salutation: null, firstName, lastName, email: emailMatch ? emailMatch[0] : null, phone: phoneMatch ? phoneMatch[0] : null, jobTitle: titleMatch ? titleMatch[0] : null, linkedInUrl: profileUrl, source: 'xing' });
-                } catch (e) {}
-                finally { await detailPage.close(); }
-            } catch (e) {}
+        await safeNavigate(page, searchUrl, net);
+        const hrefs = await page.$$eval('a.user-card__link, a.search-result__link, a.employee-card__link', as => as.map(a => a.getAttribute('href')).filter(Boolean));
+        const blocked = await pageBlock(page, session, hrefs.length > 0, net);
+        if (blocked) throw new SourceBlockedError('xing', blocked, candidates);
+        for (const href of hrefs.slice(0, 8)) {
+            const profileUrl = href.startsWith('http') ? href : `${platformUrl}${href}`;
+            const text = await profileText(context, profileUrl, 'xing', session, candidates, net);
+            if (!text) continue;
+            const nameMatch = withoutHonorifics(text).match(/([A-ZÄÖÜ][a-zäöüß]+\s[A-ZÄÖÜ][a-zäöüß]+)/);
+            const emailMatch = text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g);
+            let firstName = null, lastName = null;
+            if (nameMatch) {
+                const parts = nameMatch[0].split(' ');
+                firstName = parts[0];
+                lastName = parts.slice(1).join(' ');
+            }
+            const { salutation, academicTitle } = salutationFromText(text, firstName, lastName);
+            candidates.push(createContact('xing', { company, salutation, academicTitle, firstName, lastName, email: emailMatch ? emailMatch[0] : null, phone: firstPhoneInText(text), jobTitle: roleMatcher.findTitle(text), linkedInUrl: profileUrl }));
         }
     } catch (err) {
+        if (err instanceof SourceBlockedError || err instanceof PolitenessError) throw asSourceBlock(err, 'xing', candidates);
         log.warning(`XING extractor failed for ${company}: ${err.message}`);
     } finally {
         await page.close();
@@ -216,34 +376,31 @@ async function extractFromXing(browser, company, region) {
     return candidates;
 }
 
-/** Impressum / Unternehmensregister extractor — tries to find Impressum page and parse contacts */
-async function extractFromImpressum(browser, company, region) {
+/** Impressum / Unternehmensregister extractor — tries to find Impressum page below the resolved base URL and parse contacts.
+ * Managing directors become named contacts (see impressum.js); stops at the first page with legal Impressum data.
+ */
+async function extractFromImpressum(browser, company, region, { baseUrl, visits = null, politeness } = {}) {
     const log = Log.get();
+    const net = { visits, politeness };
     const candidates = [];
+    if (!baseUrl) return candidates;
     const context = await browser.newContext();
     const page = await context.newPage();
     // Search common paths
     const paths = ['/impressum', '/kontakt', '/contact', '/about', '/about-us'];
-    const hostGuesses = [`https://${company}.de`, `https://${company}.com`, `https://${company}.eu`];
     async function tryUrl(url) {
         try {
-            await safeNavigate(page, url);
-            const text = await page.textContent('body');
-            if (!text) return;
-            const emailMatch = text.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g);
-            const phoneMatch = text.match(/\+?[0-9][0-9()\-\s]{6,}/g);
-            if (emailMatch || phoneMatch) {
-                candidates.push({ company, location: null, salutation: null, firstName: null, lastName: null, email: emailMatch ? emailMatch[0] : null, phone: phoneMatch ? phoneMatch[0] : null, jobTitle: null, linkedInUrl: null, source: 'impressum' });
-            }
+            await safeNavigate(page, url, net);
+            const parsed = parseImpressum(await page.content());
+            candidates.push(...impressumContacts(parsed, company));
+            return parsed.directors.length > 0 || parsed.register !== null;
         } catch (e) {
-            // ignore
+            log.warning(`Impressum extractor: failed to open ${url} — ${e.message}`);
+            return false;
         }
     }
-    for (const h of hostGuesses) {
-        for (const p of paths) {
-            await tryUrl(`${h}${p}`);
-            if (candidates.length >= 4) break;
-        }
+    for (const p of paths) {
+        if (await tryUrl(joinUrl(baseUrl, p))) break;
         if (candidates.length >= 4) break;
     }
     await page.close();
@@ -251,4 +408,4 @@ async function extractFromImpressum(browser, company, region) {
     return candidates;
 }
 
-module.exports = { extractFromWebsite, extractFromLinkedIn, extractFromXing, extractFromImpressum };
+module.exports = { extractFromWebsite, extractFromLinkedIn, extractFromXing, extractFromImpressum, safeNavigate };
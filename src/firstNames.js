@@ -0,0 +1,50 @@
+/**
+ * Vornamen-Verzeichnis (offline) für die Anrede-Ermittlung: häufige Vornamen im DACH-Raum
+ * einschließlich gängiger Namen aus Zuwanderungsländern. Namen, die in DACH für beide Geschlechter
+ * vorkommen (Kim, Andrea, Sascha …), stehen in UNISEX und liefern keine Anrede.
+ * Schreibweise: klein, mit Umlauten; Vergleich erfolgt nach Transliteration (siehe salutation.js).
+ */
+
+function names(list) {
+    return new Set(list.trim().split(/\s+/));
+}
+
+const FEMALE = names(`
+    adelheid adriana agathe agnes aleksandra alexandra alice alina alma amelie ana anastasia angela angelika anika anita anja anke
+    ann anna annabell annabelle anne annegret annekathrin anneliese annemarie annette annika antje antonia ariane astrid aylin
+    barbara beate beatrice beatrix bettina bianca birgit birte brigitte britta bärbel carina carla carmen carola caroline carolin
+    cathrin celina charlotte christa christiane christin christina christine clara claudia cordula cornelia dagmar dana daniela
+    daria denise diana dora doris dorothea edith elena elfriede elif elisa elisabeth elke ella ellen elsa elvira emilia emily emine
+    emma erika esther eva evelyn fabienne fatma franziska frauke frida friederike gabriela gerda gertrud gisela greta gudrun
+    hanna hannah hannelore heidi heike helena helene helga henriette hildegard ida ilona ilse ina inga inge ingeborg ingrid irene
+    iris irina isabel isabell isabella isabelle ivana jacqueline jana janina jasmin jennifer jessica johanna josefine judith julia
+    juliane julie jutta karin karina karla katarina katharina kathrin katja katrin kerstin kristina kornelia lara laura lea lena
+    leonie lidia lilli lina linda lisa lotte louisa luisa luise lydia magdalena maike maja mandy manuela mareike margarete margit
+    margot maria marianne marie marina marion marlene marta martha martina mathilde maya melanie melina merve mia michaela mila
+    miriam monika nadine nadja natalia natalie nathalie nele nicole nina nora olga paula pauline petra pia rebecca regina renate
+    ricarda rita romy rosa rosemarie ruth sabine sabrina sandra sanja sara sarah selin silke silvia simone sofia sonja sophia
+    sophie stefanie stephanie susanne svenja svetlana swantje sylvia tamara tanja tatjana teresa theresa theresia tina ulla ulrike
+    ursula ute valentina valerie vanessa vera verena veronika victoria viktoria wiebke wilhelmina yasemin yvonne zeynep zoe
+`);
+
+const MALE = names(`
+    aaron achim adam adrian ahmet alexander alfred ali alois andreas andrzej anton armin arne arno arnold artur axel benedikt
+    benjamin bernd bernhard björn bruno burkhard carl carsten christian christoph christopher claus clemens constantin daniel
+    david dennis detlef dieter dietmar dietrich dirk dominik eberhard edgar eduard egon elias emil enrico erich erik ernst erwin
+    eugen fabian falk felix ferdinand florian frank franz fred friedrich fritz georg gerd gerhard gernot gregor guido gunnar
+    günter günther gustav hakan hannes hans harald hartmut hasan heiko heinrich heinz helmut hendrik henning henrik herbert
+    hermann holger horst hubert hugo ingo ivan jakob jan janek jannik jens joachim jochen johann johannes jonas jonathan josef
+    julian julius jörg jürgen kai karl karsten klaus konrad konstantin kurt lars lennart leo leon leonard leopold lorenz lothar
+    louis ludwig lukas luca lutz malte manfred manuel marcel marco marcus mario marius mark markus martin mathias matthias max
+    maximilian mehmet michael mirko moritz mustafa nico niklas nikolai nikolas nils norbert olaf oliver oskar otto pascal patrick
+    paul peter philipp piotr rafael rainer ralf ralph reinhard reinhold richard robert roland rolf roman rudolf rüdiger samuel
+    sebastian siegfried simon stefan steffen stephan sven thilo thomas thorsten tilo tim timo tobias tom torsten udo ulrich uwe
+    valentin viktor vincent volker walter werner wilhelm wolfgang yannick yusuf
+`);
+
+// Names used for women and men in DACH (or by language of origin, e.g. Andrea, Gabriele)
+const UNISEX = names(`
+    alex andrea charlie chris eike gabriele janne jo kim kris maxi nicola nikola robin sascha sam toni uli
+`);
+
+module.exports = { FEMALE, MALE, UNISEX };
@@ -0,0 +1,272 @@
+/**
+ * Impressum-Parser: Liest die gesetzlichen Pflichtangaben (§ 5 DDG / § 25 MedienG) strukturiert aus.
+ * Geschäftsführer/Vorstand, Anschrift, Handelsregister, USt-IdNr sowie beschriftete Telefon/Fax/E-Mail-Angaben.
+ */
+
+const { createContact } = require('./contact');
+
+// Labels that start a new block; used to stop multi-line values
+const LABEL_REGEX = /^(?:anschrift|adresse|kontakt|telefon|tel\.?|phone|fon|fax|telefax|e-?mail|internet|web|sitz|registergericht|handelsregister|register|amtsgericht|firmenbuch|umsatzsteuer|ust|uid|steuer|aufsichtsrat|vorsitzende[rn]? des aufsichtsrats|verantwortlich|inhaltlich|haftung|datenschutz|bildnachweis|streitschlichtung)/i;
+
+// "Geschäftsführer: …", "Vertretungsberechtigter Vorstand …", "Vertreten durch den Vorstand:"
+const DIRECTOR_LABEL_REGEX = /^(?:(?:vertretungsberechtigte[rn]?|geschäftsführende[rn]?)\s+)?(geschäftsführer(?:in|innen)?|geschäftsführung|vorstandsvorsitzende[rn]?|vorstand|vorstände|inhaber(?:in)?|vertreten durch)((?:\s+(?:der|des|die|den)\s+(?:gesellschaft|geschäftsführer(?:in|innen)?|geschäftsführung|vorstand|vorstands))?)(?![a-zäöüß])\s*:?\s*(.*)$/i;
+
+const ACADEMIC_TITLE_REGEX = /^(?:(?:Prof\.|Dr\.(?:\s?(?:rer|med|jur|phil|ing|oec)\.(?:\s?(?:nat|pol|soc)\.)?)?|DDr\.|Dipl\.-[A-Za-zäöü]+\.?|Mag\.(?:a\.?)?|Ing\.|DI|MBA|MSc|LL\.M\.|h\.\s?c\.)\s+)+/;
+
+const NAME_PARTICLES = new Set(['von', 'van', 'de', 'der', 'zu', 'vom', 'zur', 'den', 'di', 'da', 'le', 'la']);
+
+// Capitalised German nouns that show up next to director labels but are never part of a name
+const NON_NAME_WORDS = new Set(['sitz', 'gesellschaft', 'geschäftsführer', 'geschäftsführerin', 'geschäftsführung', 'vorstand', 'vorsitzender',
+    'aufsichtsrat', 'amtsgericht', 'handelsregister', 'registergericht', 'kontakt', 'telefon', 'anschrift', 'deutschland', 'österreich', 'schweiz',
+    'impressum', 'inhaber', 'inhaberin', 'verantwortlich', 'unternehmen', 'firma', 'gmbh', 'holding', 'group', 'gruppe']);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', auml: 'ä', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', szlig: 'ß', eacute: 'é', middot: '·', ndash: '–', mdash: '—', sect: '§', copy: '©' };
+
+/** Converts page HTML to line-oriented plain text (block elements and <br> become line breaks) */
+function htmlToText(html) {
+    return (html || '')
+        .replace(/<(script|style|noscript|svg)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|tr|h[1-6]|section|article|address|dd|dt|table|ul|ol)>/gi, '\n')
+        .replace(/<(p|div|li|tr|h[1-6]|address|dd|dt)(\s[^>]*)?>/gi, '\n')
+        .replace(/<\/t[dh]>/gi, ' ')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&#x([0-9a-f]+);/gi, (m, h) => String.fromCodePoint(parseInt(h, 16)))
+        .replace(/&#(\d+);/g, (m, d) => String.fromCodePoint(parseInt(d, 10)))
+        .replace(/&([a-z]+);/gi, (m, name) => (name in ENTITIES ? ENTITIES[name] : m))
+        .replace(/[ \t ]+/g, ' ')
+        .split('\n')
+        .map(l => l.trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+/** Splits "Telefon: 0621 123 | Fax: 0621 124" style lines so each label starts its own line */
+function toLines(text) {
+    return text
+        .split('\n')
+        .flatMap(l => l.split(/\s+[|·•]\s+/))
+        .map(l => l.trim())
+        .filter(Boolean);
+}
+
+function deobfuscateEmail(s) {
+    return s
+        .replace(/\s*[([{]\s*(?:at|ät|@)\s*[)\]}]\s*/gi, '@')
+        .replace(/\s*[([{]\s*(?:dot|punkt)\s*[)\]}]\s*/gi, '.');
+}
+
+const PHONE_VALUE = '(\\+?\\(?\\d[\\d\\s()/.-]{4,}\\d)';
+
+function labelledValue(lines, labelPattern, valuePattern) {
+    const re = new RegExp(`(?:^|[\\s,;])(?:${labelPattern})\\s*[.:]?\\s*${valuePattern}`, 'i');
+    for (const line of lines) {
+        const m = line.match(re);
+        if (m) return m[1].trim();
+    }
+    return null;
+}
+
+/** Parses one person entry: "Herr Dr. Max von Mustermann (Vorsitzender)" */
+function parsePersonName(raw) {
+    let s = raw.replace(/\s+/g, ' ').trim();
+    let note = null;
+    const paren = s.match(/\(([^)]*)\)/);
+    if (paren) {
+        note = paren[1].trim();
+        s = s.replace(/\([^)]*\)/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+    s = s.replace(/[.,;:]+$/, '').trim();
+
+    let salutation = null;
+    const sal = s.match(/^(Herr|Frau|Hr\.|Fr\.)\s+/i);
+    if (sal) {
+        salutation = /^h/i.test(sal[1]) ? 'Herr' : 'Frau';
+        s = s.slice(sal[0].length);
+    }
+    let academicTitle = null;
+    const title = s.match(ACADEMIC_TITLE_REGEX);
+    if (title) {
+        academicTitle = title[0].trim();
+        s = s.slice(title[0].length).trim();
+    }
+
+    const words = s.split(' ').filter(Boolean);
+    if (words.length < 2 || words.length > 5) return null;
+    if (/\d|@|\bgmbh\b|\bag\b/i.test(s)) return null;
+    for (const w of words) {
+        if (NON_NAME_WORDS.has(w.toLowerCase())) return null;
+        if (NAME_PARTICLES.has(w.toLowerCase())) continue;
+        if (!/^[A-ZÄÖÜÉ][a-zäöüßéèáàçñ'’]+(?:-[A-ZÄÖÜ][a-zäöüßéèáàçñ'’]+)*\.?$/.test(w)) return null;
+    }
+    // Particles belong to the last name ("Max von Mustermann")
+    let split = words.length - 1;
+    while (split > 1 && NAME_PARTICLES.has(words[split - 1].toLowerCase())) split -= 1;
+    return {
+        salutation,
+        academicTitle,
+        firstName: words.slice(0, split).join(' '),
+        lastName: words.slice(split).join(' '),
+        note
+    };
+}
+
+function directorRole(label, qualifier, note) {
+    const l = label.toLowerCase();
+    const chair = /vorsitz|sprecher|ceo/i.test(`${qualifier} ${note || ''}`);
+    if (l.startsWith('vorstandsvorsitz')) return 'Vorstandsvorsitzender';
+    if (l.startsWith('vorst')) return chair ? 'Vorstandsvorsitzender' : 'Vorstand';
+    // feminine labels are kept: they are the only hint at the salutation in many Impressum pages
+    const feminine = /in(?:nen)?$/.test(l);
+    if (l.startsWith('inhaber')) return feminine ? 'Inhaberin' : 'Inhaber';
+    if (l.startsWith('geschäftsführ')) return chair ? 'Vorsitzender der Geschäftsführung' : feminine ? 'Geschäftsführerin' : 'Geschäftsführer';
+    if (/vorstand/i.test(qualifier)) return chair ? 'Vorstandsvorsitzender' : 'Vorstand';
+    return 'Geschäftsführer';
+}
+
+function extractDirectors(lines) {
+    const directors = [];
+    const seen = new Set();
+    for (let i = 0; i < lines.length; i++) {
+        const m = lines[i].match(DIRECTOR_LABEL_REGEX);
+        if (!m) continue;
+        const [, label, qualifier, rest] = m;
+        // Names follow on the same line, or on the next lines when the label stands alone or the list ends with a comma
+        const inline = rest.trim();
+        const values = inline ? [inline] : [];
+        for (let j = i + 1; j < lines.length && j <= i + 8; j++) {
+            if (inline && !values[values.length - 1].endsWith(',')) break;
+            const next = lines[j];
+            if (LABEL_REGEX.test(next) || DIRECTOR_LABEL_REGEX.test(next) || /:\s*$/.test(next) || /\d{4,5}\s/.test(next)) break;
+            values.push(next);
+        }
+        const parts = values
+            .join(', ')
+            .split(/\s*(?:,(?![^(]*\))|;|\s+und\s+|\s+&\s+|\s+sowie\s+)\s*/)
+            .filter(Boolean);
+        for (const part of parts) {
+            const person = parsePersonName(part);
+            if (!person) continue;
+            const key = `${person.firstName} ${person.lastName}`.toLowerCase();
+            if (seen.has(key)) continue;
+            seen.add(key);
+            directors.push({
+                salutation: person.salutation,
+                academicTitle: person.academicTitle,
+                firstName: person.firstName,
+                lastName: person.lastName,
+                role: directorRole(label, qualifier, person.note)
+            });
+        }
+    }
+    return directors;
+}
+
+const POSTCODE_REGEX = /^(?:(?:D|A|CH)-\s?)?(\d{4,5})\s+([A-ZÄÖÜ][A-Za-zäöüß.\- ]+?)(?:\s*\((?:[^)]*)\))?$/;
+const STREET_REGEX = /^[A-ZÄÖÜ][A-Za-zäöüß.\- ]+?\s\d+\s?[a-zA-Z]?(?:\s?[-/]\s?\d+\s?[a-zA-Z]?)?$/;
+const COUNTRIES = /^(Deutschland|Germany|Österreich|Austria|Schweiz|Switzerland)$/i;
+
+function extractAddress(lines) {
+    for (let i = 0; i < lines.length; i++) {
+        // single line: "Dietmar-Hopp-Allee 16, 69190 Walldorf"
+        const cleaned = lines[i].replace(/^(?:anschrift|adresse|sitz|postanschrift)\s*:?\s*/i, '');
+        const segments = cleaned.split(/\s*,\s*/);
+        for (let k = 0; k < segments.length; k++) {
+            const pc = segments[k].match(POSTCODE_REGEX);
+            if (!pc) continue;
+            let street = null;
+            if (k > 0 && STREET_REGEX.test(segments[k - 1])) street = segments[k - 1];
+            else if (k === 0 && i > 0 && STREET_REGEX.test(lines[i - 1])) street = lines[i - 1];
+            if (!street) continue;
+            const after = segments[k + 1] || lines[i + 1] || '';
+            return {
+                street,
+                postalCode: pc[1],
+                city: pc[2].trim(),
+                country: COUNTRIES.test(after.trim()) ? after.trim() : null
+            };
+        }
+    }
+    return null;
+}
+
+function extractRegister(lines, text) {
+    const number = text.match(/\b(HRB|HRA|GnR|PR|VR)\s?(\d{1,6}\s?[A-Z]?)\b/) || text.match(/\b(FN)\s?(\d{3,6}\s?[a-z])\b/);
+    const court = labelledValue(lines, 'Registergericht|Firmenbuchgericht|Handelsregister|Register', '((?:Amtsgericht|Handelsgericht|Landesgericht|Registergericht)\\s+[A-ZÄÖÜ][\\wäöüß.-]*(?:\\s(?:am|an der|im|i\\.)\\s?[A-ZÄÖÜ][\\wäöüß.-]*)?)')
+        || (text.match(/\b((?:Amtsgericht|Handelsgericht|Landesgericht)\s+[A-ZÄÖÜ][\wäöüß.-]*(?:\s(?:am|an der|im|i\.)\s?[A-ZÄÖÜ][\wäöüß.-]*)?)/) || [])[1]
+        || null;
+    if (!number && !court) return null;
+    return {
+        court: court ? court.replace(/[.,]+$/, '') : null,
+        type: number ? number[1] : null,
+        number: number ? number[2].replace(/\s+/g, ' ').trim() : null
+    };
+}
+
+// DE + 9 digits, ATU + 8 digits, CHE-123.456.789
+const VAT_ID_REGEX = /\b(DE\s?\d{3}\s?\d{3}\s?\d{3}|ATU\s?\d{8}|CHE[-\s]?\d{3}\.?\d{3}\.?\d{3})\b/;
+
+function extractVatId(text) {
+    const label = text.search(/USt\.?[\s-]*Id|Umsatzsteuer[\s-]*Identifikationsnummer|UID|VAT/i);
+    if (label < 0) return null;
+    const m = text.slice(label, label + 120).match(VAT_ID_REGEX);
+    if (!m) return null;
+    return m[1].replace(/[\s.-]/g, '').toUpperCase();
+}
+
+function cleanPhone(value) {
+    if (!value) return null;
+    return value.replace(/\s+/g, ' ').replace(/[\s/.-]+$/, '').trim();
+}
+
+/**
+ * Parses an Impressum page.
+ * @param {string} html page HTML (or plain text)
+ * @returns {{ directors: Array<{salutation, academicTitle, firstName, lastName, role}>, address: object|null,
+ *   register: object|null, vatId: string|null, phone: string|null, fax: string|null, email: string|null }}
+ */
+function parseImpressum(html) {
+    const text = /<[a-z][\s\S]*>/i.test(html || '') ? htmlToText(html) : (html || '');
+    const lines = toLines(text);
+
+    const phone = labelledValue(lines, 'Telefon|Tel\\.?|Phone|Fon|T\\.', PHONE_VALUE);
+    const fax = labelledValue(lines, 'Telefax|Fax|F\\.', PHONE_VALUE);
+
+    let email = labelledValue(lines.map(deobfuscateEmail), 'E-?Mail|Mail|E\\.', '([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,})');
+    if (!email) {
+        const mailto = (html || '').match(/mailto:([^"'?>\s]+)/i);
+        if (mailto) email = decodeURIComponent(mailto[1]);
+    }
+
+    return {
+        directors: extractDirectors(lines),
+        address: extractAddress(lines),
+        register: extractRegister(lines, text),
+        vatId: extractVatId(text),
+        phone: cleanPhone(phone),
+        fax: cleanPhone(fax),
+        email: email || null
+    };
+}
+
+/** Turns a parsed Impressum into contact candidates: one named row per director, plus the general contact row */
+function impressumContacts(parsed, company) {
+    const location = parsed.address ? parsed.address.city : null;
+    const contacts = parsed.directors.map(d => createContact('impressum', {
+        company,
+        location,
+        salutation: d.salutation,
+        academicTitle: d.academicTitle,
+        firstName: d.firstName,
+        lastName: d.lastName,
+        phone: parsed.phone,
+        jobTitle: d.role
+    }));
+    if (parsed.email || (contacts.length === 0 && parsed.phone)) {
+        contacts.push(createContact('impressum', { company, location, email: parsed.email, phone: parsed.phone }));
+    }
+    return contacts;
+}
+
+module.exports = { parseImpressum, impressumContacts, htmlToText, parsePersonName };
@@ -3,131 +3,485 @@
  */
 
 const { PlaywrightCrawler, Dataset, KeyValueStore, Log } = require('crawlee');
-const { extractFromWebsite, extractFromLinkedIn, extractFromXing, extractFromImpressum } = require('./extractors');
-const { isValidEmail, isValidPhone, sanitizeName, dedupeByEmail } = require('./validators');
-const { RateLimiter, roleScore, normalizeCompanyName } = require('./utils');
+const { validateEmail, createDnsChecker, sanitizeName } = require('./validators');
+const { roleScore, normalizeCompanyInput, domainFromUrl } = require('./utils');
+const { DomainResolver } = require('./domains');
+const { buildRoleMatcher } = require('./roles');
+const { applyInferredEmails } = require('./emailPatterns');
+const { parsePhone } = require('./phones');
+const { mergeContacts } = require('./merge');
+const { detectSalutation, normalizeAcademicTitle } = require('./salutation');
+const { SourceBlockedError, openSession } = require('./sessions');
+const { CompanyCheckpoints } = require('./checkpoints');
+const { Politeness } = require('./politeness');
+const { EXPORT_FORMATS, resolveColumns, writeExports } = require('./exports');
+const { sourceRegistry, supportsRegion } = require('./sources');
+const { normalizeContacts } = require('./contact');
+const { diffContacts, ContactSnapshots } = require('./changes');
+const { WebhookDelivery } = require('./delivery');
+const { newCompanyReport, extractorOutcome, countInto, summarizeRun } = require('./runReport');
+const { scoreContact, countHighScoring, EARLY_STOP_SCORE } = require('./scoring');
 const pLimit = require('p-limit');
 const pRetry = require('p-retry');
+const crypto = require('crypto');
 
 const log = Log.get();
 
-async function run(input) {
+// Named Key-Value-Store that outlives single runs: company checkpoints, sessions and profile-view budgets
+const STATE_STORE_NAME = 'it-contact-scraper-state';
+
+/**
+ * @param {object} input actor input (see .actor/INPUT_SCHEMA.json)
+ * @param {object} [options] injectable services, used by the offline tests
+ * @param {{ resolveMx: Function, resolve4: Function }} [options.dnsResolver] stub DNS resolver
+ * @param {object} [options.browser] Playwright browser to use instead of launching one; it is left open after the run
+ * @param {{ pushData: Function }} [options.dataset] replaces the default Apify Dataset
+ * @param {{ pushData: Function }} [options.reportDataset] replaces the `company-reports` dataset
+ * @param {string} [options.linkedInUrl] base URL replacing https://www.linkedin.com
+ * @param {string} [options.xingUrl] base URL replacing https://www.xing.com
+ * @param {{ getValue: Function, setValue: Function }} [options.keyValueStore] replaces the default Key-Value-Store
+ * @param {{ getValue: Function, setValue: Function }} [options.stateStore] replaces the persistent state store
+ * @param {string} [options.runId] identifies the run for checkpoints; defaults to the Apify run ID
+ * @param {(url: string) => Promise<string|null>} [options.fetchRobots] loads robots.txt instead of Node's fetch
+ * @param {import('./sources').SourceRegistry} [options.sourceRegistry] replaces the default source registry (see sources.js)
+ * @param {typeof fetch} [options.webhookFetch] sends webhook requests instead of Node's fetch
+ * @param {number} [options.webhookRetryDelayMs] delay before the first webhook retry (default 1 s)
+ * @param {string} [options.companyDomain] company domain for every resolved website, e.g. fixtures served from 127.0.0.1
+ */
+async function run(input, options = {}) {
     const companies = input.companies || [];
     const region = input.region || null;
     const maxConcurrency = input.maxConcurrency || 2;
     const rateLimitMs = input.rateLimitMs || 1000;
+    const maxRequestsPerDomain = Number.isInteger(input.maxRequestsPerDomain) && input.maxRequestsPerDomain > 0 ? input.maxRequestsPerDomain : null;
+    const websites = input.websites || {};
+    const maxContactsPerCompany = input.maxContactsPerCompany || 2;
+    const maxPagesPerCompany = input.maxPagesPerCompany || 8;
+    // 0–1; the input schema passes it as a string, API callers may send a number
+    const minConfidence = Number(input.minConfidence) || 0;
+    const roleMatcher = buildRoleMatcher(input.roles);
+    // MX/A lookups are shared by all companies of the run; `emailDnsCheck: false` skips them
+    const dnsChecker = input.emailDnsCheck === false ? null : createDnsChecker(options.dnsResolver);
+    const domainOf = baseUrl => (baseUrl ? options.companyDomain || domainFromUrl(baseUrl) : null);
+    const exportFormats = Array.isArray(input.exportFormats) ? input.exportFormats : EXPORT_FORMATS;
+    const exportLanguage = input.exportLanguage === 'en' ? 'en' : 'de';
 
     if (!Array.isArray(companies) || companies.length === 0) {
         throw new Error('No companies provided in input.companies');
     }
+    const unknownFormats = exportFormats.filter(f => !EXPORT_FORMATS.includes(f));
+    if (unknownFormats.length > 0) {
+        throw new Error(`Unknown export format(s): ${unknownFormats.join(', ')} (known: ${EXPORT_FORMATS.join(', ')})`);
+    }
+    // a wrong column mapping or source list fails before any scraping
+    const csvColumns = input.csvColumns ? resolveColumns(input.csvColumns, exportLanguage) : null;
+    const sources = (options.sourceRegistry || sourceRegistry).select(input.sources);
+    const enabled = name => sources.some(s => s.name === name);
+    // each finished company is posted to the webhook right away (see delivery.js)
+    const webhook = input.webhookUrl ? new WebhookDelivery({
+        url: input.webhookUrl,
+        secret: input.webhookSecret,
+        ...(options.webhookFetch ? { fetchImpl: options.webhookFetch } : {}),
+        ...(options.webhookRetryDelayMs !== undefined ? { minRetryDelayMs: options.webhookRetryDelayMs } : {})
+    }) : null;
+    const webhookOnlyChanges = input.webhookOnlyChanges === true;
 
-    const browser = await PlaywrightCrawler.launchPlaywright({});
+    const startedAt = new Date().toISOString();
+    const dataset = options.dataset || Dataset;
+    // one diagnostics row per company and run, see runReport.js
+    const reportDataset = options.reportDataset || await Dataset.open('company-reports');
+    const store = options.keyValueStore || await KeyValueStore.open();
+    const stateStore = options.stateStore || await KeyValueStore.open(STATE_STORE_NAME);
+
+    // A migrated or restarted Apify run keeps its run ID and resumes its own checkpoints
+    const runId = options.runId || process.env.ACTOR_RUN_ID || process.env.APIFY_ACTOR_RUN_ID || `local-${crypto.randomUUID()}`;
+    const checkpoints = new CompanyCheckpoints(stateStore, {
+        runId,
+        cacheTtlDays: Number.isFinite(input.cacheTtlDays) ? input.cacheTtlDays : 7,
+        forceRefresh: input.forceRefresh === true
+    });
+    // contacts of the previous run per company, for new/changed/gone
+    const snapshots = new ContactSnapshots(stateStore, { runId });
+
+    // LinkedIn/XING cookies from the input secret or the state store, with each account's daily profile-view budget
+    const dailyProfileViews = Number.isInteger(input.maxProfileViewsPerDay) ? input.maxProfileViewsPerDay : 80;
+    const sessions = {};
+    if (enabled('linkedin')) sessions.linkedin = await openSession('linkedin', { secret: input.linkedInSession, store: stateStore, platformUrl: options.linkedInUrl, dailyProfileViews });
+    if (enabled('xing')) sessions.xing = await openSession('xing', { secret: input.xingSession, store: stateStore, platformUrl: options.xingUrl, dailyProfileViews });
+
+    // Outcome per source; a blocked source is skipped for the remaining companies of the run
+    const sourceStatus = {};
+    for (const source of sources) {
+        sourceStatus[source.name] = { status: 'ok', reason: null, companies: 0, contacts: 0, failures: 0 };
+    }
+    for (const [source, session] of Object.entries(sessions)) {
+        Object.assign(sourceStatus[source], { authenticated: session.authenticated, account: session.account });
+        if (session.expired) blockSource(source, new SourceBlockedError(source, 'session_expired'));
+        else if (session.budget.remaining <= 0) blockSource(source, new SourceBlockedError(source, 'budget_exhausted'));
+    }
+
+    function blockSource(source, err) {
+        if (sourceStatus[source].status !== 'ok') return;
+        sourceStatus[source].status = 'blocked';
+        sourceStatus[source].reason = err.reason;
+        log.warning(`${err.message}; skipping this source for the rest of the run`);
+    }
+
+    const ownBrowser = !options.browser;
+    const browser = options.browser || await PlaywrightCrawler.launchPlaywright({});
 
     const limiter = pLimit(maxConcurrency);
+    // One politeness layer for every request of the run: per-domain slots, robots.txt, backoff and request cap
+    const politeness = new Politeness({
+        minDelayMs: rateLimitMs,
+        respectRobotsTxt: input.respectRobotsTxt !== false,
+        maxRequestsPerDomain,
+        ...(options.fetchRobots ? { fetchRobots: options.fetchRobots } : {})
+    });
+    const domainResolver = new DomainResolver({ politeness });
 
     const results = [];
 
-    async function processCompany(companyName) {
-        const normalized = normalizeCompanyName(companyName);
-        log.info(`Processing ${normalized}`);
-        const sourceCandidates = [];
+    async function processCompany(entry) {
+        const normalized = entry.name;
+        const companyRegion = entry.region || region;
+        const companyRoles = entry.targetRoles ? buildRoleMatcher(entry.targetRoles, roleMatcher) : roleMatcher;
+        const state = await checkpoints.load(entry);
+        if (state.resumed === 'run' && state.status === 'done') {
+            log.info(`Skipping ${normalized}: already finished in this run`);
+            return;
+        }
+        if (state.resumed === 'run' && state.status === 'pushing') {
+            // crashed while saving: push only what is not in the dataset yet
+            await pushResults(state);
+            return;
+        }
+        state.status = 'running';
+        state.report = state.report || newCompanyReport(entry, runId);
+        if (state.resumed === 'cache') state.report.cachedFrom = state.scrapedAt;
+        const report = state.report;
+        log.info(state.resumed
+            ? `Resuming ${normalized} (${state.resumed === 'cache' ? `cached from ${state.scrapedAt}` : 'interrupted'}), sources tried: ${state.sourcesTried.join(', ') || 'none'}`
+            : `Processing ${normalized}`);
+        const sourceCandidates = [...state.candidates];
+
+        // Resolve the company domain once; website and Impressum extractors share the cached result
+        let baseUrl = state.baseUrl ?? null;
+        if (state.baseUrl === undefined) {
+            try {
+                baseUrl = await domainResolver.resolve(browser, normalized, { website: entry.website || websites[normalized], region: companyRegion });
+            } catch (err) {
+                log.warning(`Domain resolution failed for ${normalized}: ${err.message}`);
+                report.domainError = err.message;
+            }
+            state.baseUrl = baseUrl;
+            await checkpoints.save(state);
+        }
+        report.baseUrl = baseUrl;
+        report.domain = domainOf(baseUrl);
 
-        // Run extractors with retries and fallback order
-        const extractorsOrder = [
-            async () => await pRetry(() => extractFromWebsite(browser, normalized, region), { retries: 1 }),
-            async () => await pRetry(() => extractFromLinkedIn(browser, normalized, region), { retries: 1 }),
-            async () => await pRetry(() => extractFromXing(browser, normalized, region), { retries: 1 }),
-            async () => await pRetry(() => extractFromImpressum(browser, normalized, region), { retries: 1 })
-        ];
+        // Run the sources in order with retries; a blocked source is not retried
+        const context = {
+            browser,
+            company: normalized,
+            entry,
+            region: companyRegion,
+            baseUrl,
+            roleMatcher: companyRoles,
+            pageBudget: maxPagesPerCompany,
+            platformUrls: { linkedin: options.linkedInUrl, xing: options.xingUrl },
+            politeness
+        };
+        const abortIfBlocked = (err) => {
+            if (err instanceof SourceBlockedError) throw err;
+        };
 
-        for (const ex of extractorsOrder) {
+        // stop early once enough contacts would already make the cut; final scoring happens after validation
+        const enoughContacts = () => countHighScoring(mergeContacts(sourceCandidates), Math.max(minConfidence, EARLY_STOP_SCORE), { roleMatcher: companyRoles }) >= maxContactsPerCompany;
+
+        const skip = (source, reason) => report.extractors.push({ source, outcome: 'skipped', reason, candidates: 0, durationMs: 0 });
+
+        for (const plugin of sources) {
+            const source = plugin.name;
+            const status = sourceStatus[source];
+            if (state.sourcesTried.includes(source)) {
+                // an interrupted run already reported it
+                if (state.resumed === 'cache') skip(source, 'cached');
+                continue;
+            }
+            if (!supportsRegion(plugin, companyRegion)) {
+                skip(source, 'region');
+                continue;
+            }
+            if (status.status !== 'ok') {
+                skip(source, 'source_blocked');
+                continue;
+            }
+            if (enoughContacts()) {
+                skip(source, 'enough_contacts');
+                continue;
+            }
+            status.companies++;
+            let cand = [];
+            let blocked = false;
+            let error = null;
+            const visits = [];
+            const extractStart = Date.now();
             try {
-                const cand = await ex();
-                if (Array.isArray(cand) && cand.length > 0) {
-                    sourceCandidates.push(...cand);
-                }
-                // if we already have >= 4 candidates, we can stop early and filter later
-                if (sourceCandidates.length >= 6) break;
+                const extracted = await pRetry(
+                    () => plugin.extract({ ...context, session: sessions[source] || null, visits }),
+                    { retries: plugin.retries, onFailedAttempt: abortIfBlocked }
+                );
+                cand = normalizeContacts(extracted, source, normalized);
             } catch (err) {
-                log.warning(`Extractor failed for ${normalized}: ${err.message}`);
+                error = err;
+                if (err instanceof SourceBlockedError) {
+                    // keep what was found before the block
+                    cand = normalizeContacts(err.candidates || [], source, normalized);
+                    blocked = true;
+                    blockSource(source, err);
+                } else {
+                    status.failures++;
+                    log.warning(`Extractor ${source} failed for ${normalized}: ${err.message}`);
+                }
+                state.errors.push({ source, message: err.message, at: new Date().toISOString() });
             }
+            if (cand.length > 0) {
+                sourceCandidates.push(...cand);
+                status.contacts += cand.length;
+            }
+            report.visits.push(...visits.map(v => ({ source, ...v })));
+            report.extractors.push({
+                source,
+                outcome: extractorOutcome({ candidates: cand, error, visits }),
+                reason: error ? error.reason || error.message : null,
+                candidates: cand.length,
+                durationMs: Date.now() - extractStart
+            });
+            // a blocked source counts as not tried, so a resumed or later run still asks it
+            if (!blocked) state.sourcesTried.push(source);
+            state.candidates = sourceCandidates;
+            state.scrapedAt = state.scrapedAt || new Date().toISOString();
+            await checkpoints.save(state);
         }
 
+        // Merge partial records of the same person across sources (LinkedIn name + website email …)
+        const merged = mergeContacts(sourceCandidates);
+
+        // Learn the company's address pattern and fill in inferred emails for named contacts without one
+        const companyDomain = domainOf(baseUrl);
+        applyInferredEmails(merged, companyDomain);
+
         // Validate & normalize
         const validated = [];
-        for (const c of sourceCandidates) {
+        for (const c of merged) {
             const firstName = sanitizeName(c.firstName);
             const lastName = sanitizeName(c.lastName);
             const email = c.email ? c.email.trim() : null;
-            const phoneRaw = c.phone ? c.phone.trim() : null;
-            const phone = phoneRaw ? phoneRaw.replace(/[\s()\-\.]+/g, '') : null;
+            const phone = c.phone ? parsePhone(c.phone, { region: companyRegion, domain: companyDomain }) : null;
 
             const obj = {
                 company: normalized,
                 location: c.location || null,
-                salutation: c.salutation || null,
+                salutation: detectSalutation({ firstName, salutation: c.salutation, jobTitle: c.jobTitle }),
+                academicTitle: normalizeAcademicTitle(c.academicTitle),
                 firstName,
                 lastName,
                 email: email || null,
-                phone: phone || null,
+                emailSource: email ? c.emailSource : null,
+                emailConfidence: email ? c.emailConfidence : null,
+                phone: phone && phone.valid ? phone.e164 : null,
+                phoneDisplay: phone && phone.valid ? phone.display : null,
+                phoneType: phone && phone.valid ? phone.type : null,
                 jobTitle: c.jobTitle || null,
                 linkedInUrl: c.linkedInUrl || null,
                 source: c.source || 'unknown',
-                scrapedAt: new Date().toISOString()
+                sources: c.sources,
+                fieldSources: c.emailSource === 'inferred' ? { ...c.fieldSources, email: 'inferred' } : c.fieldSources,
+                confidence: c.confidence,
+                scrapedAt: state.scrapedAt || new Date().toISOString()
             };
-            // Accept if email valid OR phone valid
-            if (obj.email && isValidEmail(obj.email)) validated.push(obj);
-            else if (obj.phone && isValidPhone(obj.phone)) validated.push(obj);
-            // else discard
-        }
-
-        // dedupe by email
-        const deduped = dedupeByEmail(validated);
-
-        // If deduped less than 2, we may accept phone-only entries without email (but prefer email)
-        let final = deduped.slice();
-        if (final.length < 2) {
-            // include phone-only validated contacts from sourceCandidates
-            for (const c of sourceCandidates) {
-                if (final.length >= 2) break;
-                if (!c.email && c.phone) {
-                    const phone = c.phone.replace(/[\s()\-\.]+/g, '');
-                    if (isValidPhone(phone)) {
-                        final.push({ company: normalized, location: c.location || null, salutation: c.salutation || null, firstName: sanitizeName(c.firstName), lastName: sanitizeName(c.lastName), email: null, phone, jobTitle: c.jobTitle || null, linkedInUrl: c.linkedInUrl || null, source: c.source || 'website', scrapedAt: new Date().toISOString() });
-                    }
-                }
+            // Accept if email valid OR phone valid; a rejected address is dropped but its reason stays in emailValidation
+            obj.emailValidation = obj.email ? await validateEmail(obj.email, { companyDomain, dnsChecker }) : null;
+            if (obj.emailValidation && !obj.emailValidation.valid) {
+                countInto(report.droppedEmails, obj.emailValidation.reason);
+                obj.email = null;
+                obj.emailSource = null;
+                obj.emailConfidence = null;
+                delete obj.fieldSources.email;
             }
+            if (c.phone && !obj.phone) report.droppedPhones += 1;
+            if (obj.email) validated.push(obj);
+            else if (obj.phone) validated.push(obj);
+            else countInto(report.discards, 'no_valid_email_or_phone');
         }
 
-        // Sort by role relevance then source preference (linkedIn > website > xing > impressum)
-        const sourcePriority = { linkedin: 100, website: 80, xing: 70, impressum: 60, unknown: 50 };
+        // Score, drop contacts below minConfidence, best first (role relevance breaks ties)
+        const final = validated
+            .map(c => ({ ...c, ...scoreContact(c, { roleMatcher: companyRoles }) }))
+            .filter(c => c.score >= minConfidence);
         final.sort((a, b) => {
-            const rA = roleScore(a.jobTitle || '');
-            const rB = roleScore(b.jobTitle || '');
-            if (rA !== rB) return rB - rA;
-            const sA = sourcePriority[a.source] || 0;
-            const sB = sourcePriority[b.source] || 0;
-            return sB - sA;
+            if (a.score !== b.score) return b.score - a.score;
+            return roleScore(b.jobTitle || '', companyRoles) - roleScore(a.jobTitle || '', companyRoles);
         });
 
-        // limit to 2
-        const limited = final.slice(0, 2).map(x => ({ ...x }));
+        // Compare with the previous run: the top `maxContactsPerCompany` are saved and delivered, a known contact below
+        // the cut is not gone; contacts missing after a blocked or failed source are not reported as gone
+        const previous = await snapshots.previous(state.key);
+        const complete = report.extractors.every(e => ['ok', 'empty'].includes(e.outcome) || ['enough_contacts', 'region', 'cached'].includes(e.reason));
+        const diff = diffContacts(previous && previous.contacts, final, { complete, limit: maxContactsPerCompany });
+        report.changes = { comparedWith: previous ? previous.runId : null, ...diff.counts };
+        const saved = diff.contacts;
+
+        // Results go into the checkpoint first, so a crash while pushing does not push them twice
+        state.results = saved;
+        state.gone = diff.gone;
+        state.snapshot = diff.snapshot;
+        if (validated.length > final.length) countInto(report.discards, 'below_min_confidence', validated.length - final.length);
+        if (final.length > saved.length) countInto(report.discards, 'over_limit', final.length - saved.length);
+        report.candidates = {
+            found: sourceCandidates.length,
+            merged: merged.length,
+            validated: validated.length,
+            aboveMinConfidence: final.length,
+            saved: state.results.length
+        };
+        state.status = 'pushing';
+        state.pushed = 0;
+        await checkpoints.save(state);
+        await pushResults(state);
+    }
 
-        // Push to Apify Dataset
-        for (const item of limited) {
-            await Dataset.pushData(item);
+    /**
+     * Pushes the company's results that are not in the dataset yet, delivers them to the webhook, stores the
+     * snapshot for the next run's comparison plus the report row, and marks the company done
+     */
+    async function pushResults(state) {
+        for (const item of state.results.slice(state.pushed)) {
+            await dataset.pushData(item);
             results.push(item);
+            state.pushed++;
+            await checkpoints.save(state);
+        }
+        if (webhook && !state.delivery) {
+            state.delivery = await deliverCompany(state);
+            await checkpoints.save(state);
         }
+        // after a failed delivery the old snapshot stays, so the next run reports the same changes again
+        if (state.snapshot && (!state.delivery || state.delivery.status !== 'failed')) await snapshots.save(state.key, state.snapshot);
+        Object.assign(state.report, { status: 'done', delivery: state.delivery || null, finishedAt: new Date().toISOString() });
+        await reportDataset.pushData(state.report);
+        state.status = 'done';
+        state.completedAt = new Date().toISOString();
+        await checkpoints.save(state);
+        log.info(`Finished ${state.company}: saved ${state.results.length} contacts`);
+    }
 
-        log.info(`Finished ${normalized}: saved ${limited.length} contacts`);
+    /**
+     * Posts a finished company to the webhook. A resumed run sends it again with the same delivery ID,
+     * so the receiver can drop duplicates; a failed delivery is logged and does not fail the company.
+     */
+    async function deliverCompany(state) {
+        const gone = state.gone || [];
+        const contacts = webhookOnlyChanges ? state.results.filter(c => c.change !== 'unchanged') : state.results;
+        if (webhookOnlyChanges && contacts.length === 0 && gone.length === 0) {
+            return { status: 'skipped', reason: 'no_changes', attempts: 0, at: new Date().toISOString() };
+        }
+        try {
+            const { status, attempts } = await webhook.deliver('company.finished', `${runId}-${state.key}`, {
+                runId,
+                company: state.company,
+                domain: state.report.domain,
+                changes: state.report.changes,
+                contacts,
+                gone
+            });
+            log.info(`Delivered ${state.company} to the webhook (HTTP ${status})`);
+            return { status: 'delivered', httpStatus: status, attempts, at: new Date().toISOString() };
+        } catch (err) {
+            log.warning(`Webhook delivery for ${state.company} failed: ${err.message}`);
+            return { status: 'failed', reason: err.reason || err.message, attempts: err.attempts || 0, at: new Date().toISOString() };
+        }
+    }
+
+    /** A failing company is recorded in its checkpoint and retried by a resumed run; the others continue */
+    async function processCompanySafely(entry) {
+        try {
+            await processCompany(entry);
+        } catch (err) {
+            log.error(`Processing ${entry.name} failed: ${err.message}`);
+            const state = await checkpoints.load(entry);
+            state.errors.push({ source: null, message: err.message, at: new Date().toISOString() });
+            // a failed push is resumed from the stored results instead of scraping again
+            if (state.status === 'pushing') {
+                await checkpoints.save(state);
+                return;
+            }
+            state.status = 'failed';
+            state.report = state.report || newCompanyReport(entry, runId);
+            Object.assign(state.report, { status: 'failed', error: err.message, finishedAt: new Date().toISOString() });
+            await checkpoints.save(state);
+            await reportDataset.pushData(state.report);
+        }
     }
 
     // schedule company tasks with concurrency limit
-    const promises = companies.map(c => limiter(() => processCompany(c)));
+    const entries = [];
+    for (const c of companies) {
+        const entry = normalizeCompanyInput(c);
+        if (entry) entries.push(entry);
+        else log.warning(`Skipping invalid company entry: ${JSON.stringify(c)}`);
+    }
+    if (entries.length === 0) {
+        throw new Error('No valid company entries in input.companies');
+    }
+    const promises = entries.map(e => limiter(() => processCompanySafely(e)));
     await Promise.all(promises);
 
+    for (const [source, session] of Object.entries(sessions)) sourceStatus[source].profileViewsToday = session.budget.used;
+    for (const [source, status] of Object.entries(sourceStatus)) {
+        log.info(`Source ${source}: ${status.status}${status.reason ? ` (${status.reason})` : ''}, ${status.contacts} contacts from ${status.companies} companies, ${status.failures} failures`);
+    }
+    await store.setValue('SOURCE_STATUS', sourceStatus);
+
+    // Run summary and exports over all companies, including those finished before a restart
+    const reports = [];
+    const contacts = [];
+    const changes = [];
+    const seen = new Set();
+    for (const entry of entries) {
+        const state = await checkpoints.load(entry);
+        if (seen.has(state.key)) continue;
+        seen.add(state.key);
+        if (state.report) reports.push(state.report);
+        if (state.status !== 'done') continue;
+        contacts.push(...state.results);
+        const changed = state.results.filter(r => r.change === 'new' || r.change === 'changed');
+        if (changed.length > 0 || (state.gone || []).length > 0) changes.push({ company: state.company, contacts: changed, gone: state.gone });
+    }
+    const summary = summarizeRun(reports, { runId, startedAt, sources: sourceStatus, domains: politeness.stats() });
+    const c = summary.companies;
+    log.info(`Run summary: ${c.done}/${c.total} companies done (${c.withContacts} with contacts, ${c.noDomain} without domain, ${c.fromCache} from cache, ${c.failed} failed), ${summary.candidates.saved} contacts saved from ${summary.candidates.found} candidates, ${summary.pages.visited} requests`);
+    await store.setValue('RUN_SUMMARY', summary);
+    // new, changed and gone contacts of the run, for CRM syncs without the webhook
+    await store.setValue('CHANGES', { runId, companies: changes });
+    const d = summary.changes;
+    log.info(`Changes since the previous run: ${d.new} new, ${d.changed} changed, ${d.gone} gone, ${d.unchanged} unchanged`);
+    if (webhook) {
+        try {
+            await webhook.deliver('run.finished', `${runId}-run`, { runId, summary: { companies: summary.companies, candidates: summary.candidates, changes: summary.changes, deliveries: summary.deliveries } });
+        } catch (err) {
+            log.warning(`Webhook delivery of the run summary failed: ${err.message}`);
+        }
+    }
+
+    const exported = await writeExports(store, contacts, { formats: exportFormats, language: exportLanguage, columns: csvColumns, delimiter: input.csvDelimiter });
+    if (exported.length > 0) log.info(`Exported ${contacts.length} contacts to ${exported.join(', ')}`);
+
     // cleanup
-    try { await browser.close(); } catch (e) { }
+    if (ownBrowser) {
+        try { await browser.close(); } catch (e) { }
+    }
 
     return results;
 }
@@ -0,0 +1,192 @@
+/**
+ * Entity-Resolution: Führt Teil-Datensätze derselben Person aus verschiedenen Quellen zusammen
+ * (z.B. Name/Titel/Profil von LinkedIn + E-Mail von der Website) – über E-Mail, Profil-URL und unscharfen Namensvergleich.
+ * Jedes Feld behält seine Herkunft (`fieldSources`), der Datensatz alle Quellen (`sources`) und eine kombinierte `confidence`.
+ */
+
+const { transliterate, levenshtein } = require('./utils');
+
+/** Probability that a single record of a source describes a real, current contact */
+const SOURCE_RELIABILITY = { impressum: 0.85, website: 0.8, linkedin: 0.7, xing: 0.6, unknown: 0.4 };
+
+const MERGED_FIELDS = ['location', 'salutation', 'academicTitle', 'firstName', 'lastName', 'email', 'phone', 'jobTitle', 'linkedInUrl'];
+
+const TITLE_WORDS = /^(?:prof|dr|dipl|ing|mag|di|mba|msc|herr|frau)\.?$/i;
+
+function nameWords(s) {
+    return transliterate((s || '').toLowerCase())
+        .replace(/[^a-z\s-]/g, ' ')
+        .split(/\s+/)
+        .filter(w => w && !TITLE_WORDS.test(w));
+}
+
+/** { first, last } without titles and middle names; null unless both parts are known */
+function nameKey(contact) {
+    const first = nameWords(contact.firstName)[0];
+    const last = nameWords(contact.lastName).pop();
+    if (!first || !last) return null;
+    return { first: first.split('-')[0], firstFull: first, last };
+}
+
+/** "mueller" vs "muller": umlaut written without the e */
+function withoutUmlautE(s) {
+    return s.replace(/([aou])e/g, '$1');
+}
+
+function sameLastName(a, b) {
+    return a.last === b.last || withoutUmlautE(a.last) === withoutUmlautE(b.last);
+}
+
+function sameFirstName(a, b) {
+    return a.first === b.first || a.firstFull === b.firstFull || withoutUmlautE(a.first) === withoutUmlautE(b.first);
+}
+
+function isInitial(name) {
+    return Boolean(name) && name.first.length === 1;
+}
+
+/** "Jürgen Müller" ~ "Juergen Mueller" ~ "J. Müller" ~ "Jürgen Peter Müller" ~ "Jurgen Muller" */
+function namesMatch(a, b) {
+    if (!a || !b) return false;
+    const lastOk = sameLastName(a, b) || (Math.min(a.last.length, b.last.length) >= 5 && levenshtein(a.last, b.last) <= 1);
+    if (!lastOk) return false;
+    if (sameFirstName(a, b)) return true;
+    if (isInitial(a) || isInitial(b)) return a.first[0] === b.first[0];
+    return Math.min(a.first.length, b.first.length) >= 4 && levenshtein(a.first, b.first) <= 1;
+}
+
+/** Same first and last name up to umlaut spelling and middle names, i.e. no initial and no typo tolerance */
+function namesMatchExactly(a, b) {
+    return Boolean(a && b) && !isInitial(a) && !isInitial(b) && sameFirstName(a, b) && sameLastName(a, b);
+}
+
+/** Profile URLs without protocol, query, locale subdomain and trailing slash */
+function normalizeProfileUrl(url) {
+    if (!url) return null;
+    try {
+        const u = new URL(url);
+        const host = u.hostname.toLowerCase().replace(/^(?:www|[a-z]{2})\./, '');
+        return `${host}${u.pathname.replace(/\/+$/, '').toLowerCase()}`;
+    } catch (e) {
+        return null;
+    }
+}
+
+function emailKey(contact) {
+    return contact.email ? contact.email.trim().toLowerCase() : null;
+}
+
+function reliability(source) {
+    return SOURCE_RELIABILITY[source] ?? SOURCE_RELIABILITY.unknown;
+}
+
+/** Scraped addresses beat inferred ones, then the more reliable source wins */
+function fieldRank(contact, field) {
+    const inferredPenalty = field === 'email' && contact.emailSource === 'inferred' ? 1 : 0;
+    return reliability(contact.source) - inferredPenalty;
+}
+
+function mergeGroup(group) {
+    const merged = { emailSource: null, emailConfidence: null };
+    const fieldSources = {};
+    for (const field of MERGED_FIELDS) {
+        let best = null;
+        for (const c of group) {
+            if (c[field] === null || c[field] === undefined || c[field] === '') continue;
+            if (!best || fieldRank(c, field) > fieldRank(best, field)) best = c;
+        }
+        merged[field] = best ? best[field] : null;
+        if (best) fieldSources[field] = best.source || 'unknown';
+        // email metadata travels with the chosen address
+        if (field === 'email' && best) {
+            merged.emailSource = best.emailSource ?? null;
+            merged.emailConfidence = best.emailConfidence ?? null;
+        }
+    }
+    // first and last name come from the same record so "Max" and "Peter Mustermann" never mix
+    const named = group.filter(c => c.firstName && c.lastName).sort((a, b) => fieldRank(b, 'firstName') - fieldRank(a, 'firstName'))[0];
+    if (named) {
+        merged.firstName = named.firstName;
+        merged.lastName = named.lastName;
+        fieldSources.firstName = named.source || 'unknown';
+        fieldSources.lastName = named.source || 'unknown';
+    }
+
+    // sources disagreeing on the salutation leave it open rather than risk a wrong "Herr"/"Frau"
+    if (new Set(group.map(c => c.salutation).filter(Boolean)).size > 1) {
+        merged.salutation = null;
+        delete fieldSources.salutation;
+    }
+
+    const sources = [...new Set(group.map(c => c.source || 'unknown'))];
+    const primary = sources.slice().sort((a, b) => reliability(b) - reliability(a))[0];
+    // independent sources agreeing on a person make it more likely real
+    const confidence = 1 - sources.reduce((p, s) => p * (1 - reliability(s)), 1);
+    return {
+        company: group[0].company,
+        ...merged,
+        source: primary,
+        sources,
+        fieldSources,
+        confidence: Math.round(confidence * 100) / 100
+    };
+}
+
+/**
+ * Merges contact candidates that describe the same person.
+ * Records are linked by equal email, equal profile URL or matching names; records without name, email or profile URL
+ * (e.g. a bare switchboard number) stay as they are. Links are transitive, so an initial or a typo-tolerant name
+ * match only joins groups that agree: no two different full first names, no two different scraped emails.
+ * An initial matching several different first names ("M. Schmidt" next to Max and Maria Schmidt) links to none.
+ */
+function mergeContacts(contacts) {
+    const parent = contacts.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const union = (a, b) => { parent[find(a)] = find(b); };
+
+    const keys = contacts.map(c => ({
+        email: emailKey(c),
+        scrapedEmail: c.emailSource === 'inferred' ? null : emailKey(c),
+        profile: normalizeProfileUrl(c.linkedInUrl),
+        name: nameKey(c)
+    }));
+    const ambiguous = keys.map((k, i) => {
+        if (!isInitial(k.name)) return false;
+        const firstNames = new Set(keys.filter((o, j) => j !== i && o.name && !isInitial(o.name) && namesMatch(k.name, o.name))
+            .map(o => withoutUmlautE(o.name.firstFull)));
+        return firstNames.size > 1;
+    });
+    const members = root => keys.filter((_, i) => find(i) === root);
+    const groupsAgree = (i, j) => {
+        const a = members(find(i));
+        const b = members(find(j));
+        const names = k => k.name && !isInitial(k.name);
+        if (a.filter(names).some(x => b.filter(names).some(y => !sameFirstName(x.name, y.name)))) return false;
+        const emails = group => new Set(group.map(k => k.scrapedEmail).filter(Boolean));
+        const [ea, eb] = [emails(a), emails(b)];
+        return ea.size === 0 || eb.size === 0 || [...ea].some(e => eb.has(e));
+    };
+
+    for (let i = 0; i < contacts.length; i++) {
+        for (let j = i + 1; j < contacts.length; j++) {
+            const a = keys[i];
+            const b = keys[j];
+            if (find(i) === find(j)) continue;
+            // two different people never share a profile; differing names veto an email match (shared team inboxes)
+            if (a.email && a.email === b.email && !(a.name && b.name && !namesMatch(a.name, b.name))) union(i, j);
+            else if (a.profile && a.profile === b.profile) union(i, j);
+            else if (namesMatchExactly(a.name, b.name)) union(i, j);
+            else if (namesMatch(a.name, b.name) && !ambiguous[i] && !ambiguous[j] && groupsAgree(i, j)) union(i, j);
+        }
+    }
+
+    const groups = new Map();
+    contacts.forEach((c, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(c);
+    });
+    return Array.from(groups.values()).map(mergeGroup);
+}
+
+module.exports = { mergeContacts, namesMatch, nameKey, SOURCE_RELIABILITY };
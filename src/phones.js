@@ -0,0 +1,150 @@
+/**
+ * Telefonnummern: Normalisierung nach E.164 mit Länderermittlung aus Region bzw. Domain-TLD,
+ * Einordnung als Mobil-/Festnetz-/Faxnummer und Aussortieren von Ziffernfolgen, die keine Telefonnummern sind.
+ */
+
+const COUNTRIES = {
+    DE: { cc: '49', nsn: [6, 12], mobile: /^1[5-7]\d/ },
+    AT: { cc: '43', nsn: [4, 13], mobile: /^6[5-9]\d/ },
+    CH: { cc: '41', nsn: [9, 9], mobile: /^7[5-9]/ },
+    LI: { cc: '423', nsn: [7, 9], mobile: /^7/ },
+    LU: { cc: '352', nsn: [4, 11], mobile: /^6[269]1/ },
+    NL: { cc: '31', nsn: [9, 9], mobile: /^6/ },
+    BE: { cc: '32', nsn: [8, 9], mobile: /^4[5-9]/ },
+    FR: { cc: '33', nsn: [9, 9], mobile: /^[67]/ },
+    IT: { cc: '39', nsn: [6, 11], mobile: /^3/ },
+    PL: { cc: '48', nsn: [9, 9], mobile: /^(?:5[0137]|6[069]|7[2389]|88)/ },
+    CZ: { cc: '420', nsn: [9, 9], mobile: /^[67]/ },
+    DK: { cc: '45', nsn: [8, 8], mobile: null },
+    SE: { cc: '46', nsn: [7, 13], mobile: /^7[02369]/ },
+    ES: { cc: '34', nsn: [9, 9], mobile: /^[67]/ },
+    GB: { cc: '44', nsn: [9, 10], mobile: /^7[1-9]/ },
+    IE: { cc: '353', nsn: [7, 9], mobile: /^8[3-9]/ },
+    US: { cc: '1', nsn: [10, 10], mobile: null }
+};
+
+const REGION_ALIASES = {
+    germany: 'DE', deutschland: 'DE', austria: 'AT', österreich: 'AT', oesterreich: 'AT', switzerland: 'CH', schweiz: 'CH',
+    liechtenstein: 'LI', luxembourg: 'LU', luxemburg: 'LU', netherlands: 'NL', niederlande: 'NL', belgium: 'BE', belgien: 'BE',
+    france: 'FR', frankreich: 'FR', italy: 'IT', italien: 'IT', poland: 'PL', polen: 'PL', denmark: 'DK', dänemark: 'DK',
+    sweden: 'SE', schweden: 'SE', spain: 'ES', spanien: 'ES', 'united kingdom': 'GB', uk: 'GB', england: 'GB', ireland: 'IE',
+    usa: 'US', 'united states': 'US', dach: 'DE'
+};
+
+const TLD_COUNTRIES = { de: 'DE', at: 'AT', ch: 'CH', li: 'LI', lu: 'LU', nl: 'NL', be: 'BE', fr: 'FR', it: 'IT', pl: 'PL', cz: 'CZ', dk: 'DK', se: 'SE', es: 'ES', uk: 'GB', ie: 'IE', us: 'US' };
+
+// The actor targets DACH companies; national numbers without any other hint are read as German
+const DEFAULT_COUNTRY = 'DE';
+
+const CC_TO_COUNTRY = Object.fromEntries(Object.entries(COUNTRIES).map(([code, c]) => [c.cc, code]));
+
+// Candidates in free text; separators as used in DACH notation: "+49 (0) 89 / 123 45-67"
+const PHONE_IN_TEXT_REGEX = /(?:\+|00)?\d[\d\s()/.-]{5,}\d/g;
+const FAX_LABEL_REGEX = /(?:tele)?fax\b|\bf\.\s*$|\bfax-?nr/i;
+// register, tax and bank numbers; "Nr."/"No." alone also labels phones ("Tel.-Nr.:", "Phone no.:")
+const NON_PHONE_CONTEXT_REGEX = /\b(?:hrb|hra|fn|handelsregister|register|registration|reg|ust|uid|vat|tax|steuer|st|iban|bic|kto|konto|blz|plz)[\s.-]*(?:id)?[\s.-]*(?:nr|nummer|no|number)?\.?\s*[.:-]?\s*$/i;
+
+/** ISO country code of a region input ("DE", "Austria", "Schweiz"); null if unknown. DACH counts as DE. */
+function regionCountry(region) {
+    const r = (region || '').trim();
+    if (!r) return null;
+    const upper = r.toUpperCase();
+    if (COUNTRIES[upper]) return upper;
+    return REGION_ALIASES[r.toLowerCase()] || null;
+}
+
+function resolveCountry({ region, domain } = {}) {
+    const country = regionCountry(region);
+    if (country) return country;
+    const tld = (domain || '').split('.').pop().toLowerCase();
+    return TLD_COUNTRIES[tld] || DEFAULT_COUNTRY;
+}
+
+function reject(raw, reason, type = null) {
+    return { valid: false, reason, raw, e164: null, display: null, type, country: null };
+}
+
+/**
+ * Parses and classifies a phone number.
+ * @param {string} raw number as found on the page
+ * @param {{ region?: string, domain?: string, label?: string }} [opts] `label` is the text in front of the number ("Fax:")
+ * @returns {{ valid: boolean, reason: string|null, raw: string, e164: string|null, display: string|null,
+ *   type: 'mobile'|'landline'|'fax'|null, country: string|null }}
+ */
+function parsePhone(raw, opts = {}) {
+    if (!raw || typeof raw !== 'string') return reject(raw || null, 'missing');
+    let s = raw.trim().replace(/^tel:/i, '').replace(/[\u00a0\u2009\u202f]/g, ' ');
+
+    if (opts.label && FAX_LABEL_REGEX.test(opts.label)) return reject(raw, 'fax', 'fax');
+    if (opts.label && NON_PHONE_CONTEXT_REGEX.test(opts.label)) return reject(raw, 'not_a_phone');
+    // dates and years: 01.04.2015, 2015-04-01, 1987 – 2025
+    if (/^\d{1,2}\.\d{1,2}\.(?:\d{2}|\d{4})$/.test(s) || /^\d{4}-\d{2}-\d{2}$/.test(s) || /^\d{4}\s*[-–]\s*\d{4}$/.test(s)) {
+        return reject(raw, 'not_a_phone');
+    }
+    if (/[^\d\s()/.+-]/.test(s)) return reject(raw, 'not_a_phone');
+
+    // "+49 (0) 711" — the trunk zero in brackets is not dialled internationally
+    s = s.replace(/^(\+|00)(\d{1,3})\s*\(0\)\s*/, '$1$2 ');
+    let international = false;
+    if (s.startsWith('+')) {
+        international = true;
+        s = s.slice(1);
+    } else if (s.startsWith('00')) {
+        international = true;
+        s = s.slice(2);
+    }
+    const digits = s.replace(/\D/g, '');
+
+    let country;
+    let nationalDigits;
+    let nationalText;
+    if (international) {
+        const cc = ['1', '2', '3'].map(n => digits.slice(0, Number(n))).reverse().find(c => CC_TO_COUNTRY[c]);
+        if (!cc) {
+            if (digits.length < 8 || digits.length > 15) return reject(raw, 'length');
+            return { valid: true, reason: null, raw, e164: `+${digits}`, display: `+${s.trim().replace(/[\s()/.]+/g, ' ')}`, type: 'landline', country: null };
+        }
+        country = CC_TO_COUNTRY[cc];
+        nationalDigits = digits.slice(cc.length);
+        nationalText = s.trim().replace(new RegExp(`^${cc}`), '');
+    } else {
+        // a national number needs the trunk prefix, otherwise the area code is missing (or it is a postcode/register number)
+        if (!digits.startsWith('0') || digits.startsWith('00')) return reject(raw, 'not_a_phone');
+        country = resolveCountry(opts);
+        nationalDigits = digits.slice(1);
+        nationalText = s.trim().replace(/^0/, '');
+    }
+
+    const spec = COUNTRIES[country];
+    if (nationalDigits.startsWith('0')) return reject(raw, 'not_a_phone');
+    if (nationalDigits.length < spec.nsn[0] || nationalDigits.length > spec.nsn[1]) return reject(raw, 'length');
+    // runs like 0000000 are placeholders, not numbers
+    if (/^(\d)\1{5,}$/.test(nationalDigits)) return reject(raw, 'not_a_phone');
+
+    const type = spec.mobile && spec.mobile.test(nationalDigits) ? 'mobile' : 'landline';
+    const display = `+${spec.cc} ${nationalText.replace(/[\s()/.]+/g, ' ').replace(/\s*-\s*/g, '-').trim()}`;
+    return { valid: true, reason: null, raw, e164: `+${spec.cc}${nationalDigits}`, display, type, country };
+}
+
+/**
+ * Finds phone numbers in free text together with the label in front of them.
+ * Fax numbers and register/tax numbers are returned as well but marked invalid by parsePhone.
+ */
+function findPhonesInText(text, opts = {}) {
+    const found = [];
+    if (!text) return found;
+    for (const m of text.matchAll(PHONE_IN_TEXT_REGEX)) {
+        // label = text between the previous number (or line start) and this one
+        const label = text.slice(Math.max(0, m.index - 20), m.index).split('\n').pop().replace(/^[\s\S]*\d/, '');
+        found.push(parsePhone(m[0], { ...opts, label }));
+    }
+    return found;
+}
+
+/** First usable (non-fax) phone number in free text, as written on the page; null if none */
+function firstPhoneInText(text, opts = {}) {
+    const hit = findPhonesInText(text, opts).find(p => p.valid);
+    return hit ? hit.raw.trim() : null;
+}
+
+module.exports = { parsePhone, findPhonesInText, firstPhoneInText, resolveCountry, regionCountry };
@@ -0,0 +1,214 @@
+/**
+ * Höflichkeits-Schicht für alle Extractoren: Reserviert Zeitfenster je Domain (Mindestabstand bzw. `Crawl-delay`),
+ * beachtet `robots.txt`, verlängert die Wartezeit exponentiell bei 429/503 oder Captcha und begrenzt die Anzahl
+ * der Requests je Domain und Lauf.
+ */
+
+const { sleep } = require('crawlee');
+const { domainFromUrl } = require('./utils');
+
+// Product token matched against `User-agent` lines in robots.txt
+const ROBOTS_AGENT = 'it-contact-scraper';
+const ROBOTS_TIMEOUT_MS = 10000;
+// Upper bound for Crawl-delay, so a single site cannot stall a run
+const MAX_CRAWL_DELAY_MS = 30000;
+const DEFAULT_MAX_BACKOFF_MS = 120000;
+
+const REFUSAL_MESSAGES = {
+    robots_txt: 'disallowed by robots.txt',
+    domain_cap: 'request cap for this domain reached'
+};
+
+/** Thrown instead of sending a request that robots.txt forbids or that exceeds the domain's request cap */
+class PolitenessError extends Error {
+    constructor(reason, url) {
+        super(`${REFUSAL_MESSAGES[reason]}: ${url}`);
+        this.name = 'PolitenessError';
+        this.reason = reason;
+        this.url = url;
+    }
+}
+
+/** Path pattern of an Allow/Disallow line as RegExp: `*` matches anything, a trailing `$` anchors the end */
+function pathPattern(path) {
+    const anchored = path.endsWith('$');
+    const body = (anchored ? path.slice(0, -1) : path).split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Rules of robots.txt for `agent`: the group naming the agent, otherwise the `*` group (RFC 9309).
+ * @returns {{ rules: { allow: boolean, path: string, pattern: RegExp }[], crawlDelayMs: number }}
+ */
+function parseRobotsTxt(text, agent = ROBOTS_AGENT) {
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+    for (const raw of String(text || '').split(/\r?\n/)) {
+        const line = raw.replace(/#.*$/, '').trim();
+        const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+        if (!match) continue;
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+        if (field === 'user-agent') {
+            // consecutive User-agent lines share one group
+            if (!lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelayMs: 0 };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+        lastWasAgent = false;
+        if (!current) continue;
+        if ((field === 'allow' || field === 'disallow') && value) {
+            current.rules.push({ allow: field === 'allow', path: value, pattern: pathPattern(value) });
+        } else if (field === 'crawl-delay' && Number.isFinite(Number(value))) {
+            current.crawlDelayMs = Math.min(MAX_CRAWL_DELAY_MS, Math.max(0, Number(value) * 1000));
+        }
+    }
+    const name = agent.toLowerCase();
+    const own = groups.filter(g => g.agents.some(a => a !== '*' && name.includes(a)));
+    const chosen = own.length > 0 ? own : groups.filter(g => g.agents.includes('*'));
+    return {
+        rules: chosen.flatMap(g => g.rules),
+        crawlDelayMs: Math.max(0, ...chosen.map(g => g.crawlDelayMs))
+    };
+}
+
+/** Whether `path` (with query string) may be fetched: the longest matching rule wins, Allow on a tie */
+function robotsAllows(robots, path) {
+    let best = null;
+    for (const rule of robots.rules) {
+        if (!rule.pattern.test(path)) continue;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) best = rule;
+    }
+    return !best || best.allow;
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (e) {
+        return null;
+    }
+}
+
+const ALLOW_ALL = { rules: [], crawlDelayMs: 0 };
+
+/** robots.txt via Node's fetch; null when there is none (4xx/5xx), allow-all in both cases */
+async function fetchRobotsTxt(url) {
+    const response = await fetch(url, { headers: { 'User-Agent': ROBOTS_AGENT }, signal: AbortSignal.timeout(ROBOTS_TIMEOUT_MS) });
+    return response.ok ? response.text() : null;
+}
+
+/**
+ * Politeness state of one run, shared by all extractors. Domains are registrable domains (see domainFromUrl),
+ * so www.acme.de and karriere.acme.de share their slots, backoff and request cap; robots.txt is read per origin.
+ */
+class Politeness {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.minDelayMs] minimum gap between two requests to the same domain
+     * @param {boolean} [options.respectRobotsTxt] read robots.txt and skip disallowed URLs, honour Crawl-delay
+     * @param {number|null} [options.maxRequestsPerDomain] requests per domain and run; null = unlimited
+     * @param {number} [options.maxBackoffMs] upper bound of the backoff after 429/503/captcha
+     * @param {(url: string) => Promise<string|null>} [options.fetchRobots] loads a robots.txt (tests)
+     */
+    constructor({ minDelayMs = 1000, respectRobotsTxt = true, maxRequestsPerDomain = null, maxBackoffMs = DEFAULT_MAX_BACKOFF_MS, fetchRobots = fetchRobotsTxt } = {}) {
+        this.minDelayMs = minDelayMs;
+        this.respectRobotsTxt = respectRobotsTxt;
+        this.maxRequestsPerDomain = maxRequestsPerDomain;
+        this.maxBackoffMs = maxBackoffMs;
+        this.fetchRobots = fetchRobots;
+        this.domains = new Map();
+        this.robots = new Map();
+    }
+
+    domain(url) {
+        // hosts without a registrable domain (IP addresses, localhost) count on their own
+        const key = domainFromUrl(url) || hostOf(url) || 'global';
+        if (!this.domains.has(key)) {
+            this.domains.set(key, { nextSlot: 0, backoffMs: 0, crawlDelayMs: 0, requests: 0, backoffs: 0, refused: { robots_txt: 0, domain_cap: 0 } });
+        }
+        return this.domains.get(key);
+    }
+
+    /** robots.txt rules of the URL's origin; loaded once, concurrent callers share the pending request */
+    robotsFor(url) {
+        const { origin } = new URL(url);
+        if (!this.robots.has(origin)) {
+            // unreachable hosts are common while guessing domains; the page request itself reports the failure
+            const loading = Promise.resolve()
+                .then(() => this.fetchRobots(`${origin}/robots.txt`))
+                .then(text => (text ? parseRobotsTxt(text) : ALLOW_ALL))
+                .catch(() => ALLOW_ALL);
+            this.robots.set(origin, loading);
+        }
+        return this.robots.get(origin);
+    }
+
+    /**
+     * Waits for the next free slot of the URL's domain. The slot is reserved before waiting, so concurrent
+     * callers queue up behind each other instead of firing together.
+     * @throws {PolitenessError} when robots.txt disallows the URL or the domain's request cap is reached
+     */
+    async acquire(url) {
+        const state = this.domain(url);
+        if (this.respectRobotsTxt && /^https?:/i.test(url)) {
+            const robots = await this.robotsFor(url);
+            state.crawlDelayMs = robots.crawlDelayMs;
+            const { pathname, search } = new URL(url);
+            if (!robotsAllows(robots, pathname + search)) {
+                state.refused.robots_txt += 1;
+                throw new PolitenessError('robots_txt', url);
+            }
+        }
+        if (this.maxRequestsPerDomain !== null && state.requests >= this.maxRequestsPerDomain) {
+            state.refused.domain_cap += 1;
+            throw new PolitenessError('domain_cap', url);
+        }
+        state.requests += 1;
+        const now = Date.now();
+        const slot = Math.max(now, state.nextSlot);
+        state.nextSlot = slot + Math.max(this.minDelayMs, state.crawlDelayMs, state.backoffMs);
+        if (slot > now) await sleep(slot - now);
+    }
+
+    /**
+     * Feeds a response back: 429 and 503 double the domain's backoff (at least `Retry-After`), other answers
+     * halve it again.
+     * @param {{ status: () => number, headers: () => object }|null} response Playwright response
+     */
+    report(url, response) {
+        if (!response) return;
+        const status = response.status();
+        if (status === 429 || status === 503) {
+            const retryAfter = Number((response.headers() || {})['retry-after']);
+            this.penalize(url, Number.isFinite(retryAfter) ? retryAfter * 1000 : 0);
+        } else {
+            const state = this.domain(url);
+            state.backoffMs = state.backoffMs / 2 < this.minDelayMs ? 0 : state.backoffMs / 2;
+        }
+    }
+
+    /** Backs off exponentially from the domain after a rate limit or captcha; the next slot moves accordingly */
+    penalize(url, atLeastMs = 0) {
+        const state = this.domain(url);
+        state.backoffMs = Math.min(this.maxBackoffMs, Math.max(atLeastMs, state.backoffMs * 2, this.minDelayMs * 2));
+        state.backoffs += 1;
+        state.nextSlot = Math.max(state.nextSlot, Date.now() + state.backoffMs);
+    }
+
+    /** Requests, backoffs and refusals per domain, for the run summary */
+    stats() {
+        const stats = {};
+        for (const [domain, s] of this.domains) {
+            stats[domain] = { requests: s.requests, backoffs: s.backoffs, backoffMs: s.backoffMs, crawlDelayMs: s.crawlDelayMs, refused: { ...s.refused } };
+        }
+        return stats;
+    }
+}
+
+module.exports = { Politeness, PolitenessError, parseRobotsTxt, robotsAllows };
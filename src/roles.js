@@ -0,0 +1,156 @@
+/**
+ * Rollen-Matching: Eine Stelle für Ziel-Rollen, Synonyme (DE/EN), Gender-Formen und Gewichtung.
+ * Treibt sowohl die LinkedIn/XING-Suchanfragen als auch die Titel-Erkennung und `roleScore`.
+ */
+
+/**
+ * Known roles. `synonyms` are matched case-insensitively; hyphen and space are interchangeable and
+ * German words ending in "-er" also match their female/gender-neutral forms (Leiterin, Leiter*in, Leiter:in, Leiter/in).
+ * `queryTerms` are the terms sent to LinkedIn/XING searches (defaults to the label).
+ */
+const ROLE_CATALOG = {
+    cto: { label: 'CTO', weight: 100, synonyms: ['CTO', 'Chief Technology Officer', 'Technischer Geschäftsführer', 'Technischer Direktor'] },
+    cio: { label: 'CIO', weight: 95, synonyms: ['CIO', 'Chief Information Officer', 'Chief Digital Officer', 'CDO'] },
+    head_of_it: {
+        label: 'Head of IT',
+        weight: 90,
+        synonyms: ['Head of IT', 'IT-Leiter', 'Leiter IT', 'Leiter der IT', 'Leiter Informationstechnologie', 'IT-Direktor', 'Director IT', 'IT Director', 'Bereichsleiter IT'],
+        queryTerms: ['Head of IT', 'IT-Leiter']
+    },
+    ciso: {
+        label: 'CISO',
+        weight: 88,
+        synonyms: ['CISO', 'Chief Information Security Officer', 'Head of IT Security', 'Head of Information Security', 'Informationssicherheitsbeauftragter', 'Leiter IT-Sicherheit', 'IT-Sicherheitsleiter']
+    },
+    it_manager: { label: 'IT Manager', weight: 85, synonyms: ['IT Manager', 'IT-Manager', 'IT-Verantwortlicher'] },
+    vp_engineering: { label: 'VP Engineering', weight: 80, synonyms: ['VP Engineering', 'VP of Engineering', 'Vice President Engineering', 'Head of Engineering', 'Leiter Softwareentwicklung', 'Leiter Entwicklung'] },
+    head_of_data: { label: 'Head of Data', weight: 75, synonyms: ['Head of Data', 'Chief Data Officer', 'Head of Data Science', 'Head of Analytics', 'Leiter Data', 'Leiter Datenmanagement', 'Leiter Business Intelligence'] },
+    engineering_manager: { label: 'Engineering Manager', weight: 70, synonyms: ['Engineering Manager', 'Entwicklungsleiter', 'Teamleiter Entwicklung', 'Teamleiter Softwareentwicklung'] },
+    devops_lead: { label: 'DevOps Lead', weight: 65, synonyms: ['DevOps Lead', 'Head of DevOps', 'DevOps Manager', 'Lead DevOps Engineer', 'Head of Platform', 'Head of Infrastructure', 'Leiter DevOps', 'Leiter IT-Infrastruktur', 'Leiter Rechenzentrum'] },
+    head_of_talent: { label: 'Head of Talent Acquisition', weight: 60, synonyms: ['Head of Talent Acquisition', 'Head of Talent', 'Head of Recruiting', 'Leiter Recruiting', 'Leiter Personalgewinnung'], queryTerms: ['Head of Talent'] },
+    purchasing_manager: { label: 'Einkaufsleiter', weight: 55, synonyms: ['Einkaufsleiter', 'Leiter Einkauf', 'Head of Procurement', 'Head of Purchasing', 'Chief Procurement Officer', 'CPO', 'Procurement Manager', 'Purchasing Manager'] },
+    hr_director: { label: 'HR Director', weight: 50, synonyms: ['HR Director', 'Head of HR', 'Personalleiter', 'Leiter Personal', 'Personaldirektor', 'CHRO', 'Chief Human Resources Officer'] },
+    recruiting_manager: { label: 'Recruiting Manager', weight: 45, synonyms: ['Recruiting Manager', 'Recruiter', 'Talent Acquisition Manager', 'Personalreferent'] }
+};
+
+/** Roles used when neither `input.roles` nor a per-company `targetRoles` is given (the actor's original target list) */
+const DEFAULT_ROLE_IDS = ['cto', 'cio', 'head_of_it', 'it_manager', 'vp_engineering', 'engineering_manager', 'head_of_talent', 'hr_director', 'recruiting_manager'];
+
+const WORD_CHARS = 'a-z0-9äöüß';
+
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function roleKey(s) {
+    return s.toLowerCase().replace(/[\s_-]+/g, '_');
+}
+
+/** Regex source for one synonym: "IT-Leiter" -> it[\s-]+leiter(?:in|\*in|:in|/in|_in|\(in\))? */
+function synonymPattern(synonym) {
+    return synonym
+        .trim()
+        .split(/[\s-]+/)
+        .map(word => {
+            const w = escapeRegExp(word);
+            return /er$/i.test(word) ? `${w}(?:in|\\*in|:in|/in|_in|\\(in\\))?` : w;
+        })
+        .join('[\\s-]+');
+}
+
+/**
+ * Turns one `roles`/`targetRoles` entry into a role definition.
+ * Strings reference a role of the run (`known`) or the catalog by id or any synonym ("ciso", "Einkaufsleiter");
+ * unknown strings become a custom role. Objects: { name, weight?, synonyms?, queryTerms? } — catalog fields are
+ * used as defaults when `name` is known.
+ */
+function resolveRole(entry, known = []) {
+    const spec = typeof entry === 'string' ? { name: entry } : entry;
+    if (!spec || typeof spec.name !== 'string' || !spec.name.trim()) return null;
+    const name = spec.name.trim();
+    const key = roleKey(name);
+    const findIn = roles => roles.find(r => r.id === key || r.synonyms.some(s => roleKey(s) === key));
+
+    if (typeof entry === 'string') {
+        const existing = findIn(known);
+        if (existing) return existing;
+    }
+    const catalog = findIn(Object.keys(ROLE_CATALOG).map(id => ({ id, ...ROLE_CATALOG[id] })));
+    const base = catalog || { id: key, label: name, weight: 50, synonyms: [name] };
+    const synonyms = Array.isArray(spec.synonyms) && spec.synonyms.length > 0
+        ? [...new Set([name, ...spec.synonyms])]
+        : base.synonyms;
+    return {
+        id: base.id,
+        label: base.label,
+        weight: typeof spec.weight === 'number' ? spec.weight : base.weight,
+        synonyms,
+        queryTerms: Array.isArray(spec.queryTerms) && spec.queryTerms.length > 0 ? spec.queryTerms : (base.queryTerms || [base.label])
+    };
+}
+
+/** Matches job titles against a configured set of roles */
+class RoleMatcher {
+    constructor(roles) {
+        this.roles = roles.slice().sort((a, b) => b.weight - a.weight);
+        this.patterns = this.roles.map(r => ({
+            role: r,
+            regex: new RegExp(`(?<![${WORD_CHARS}])(?:${r.synonyms.map(synonymPattern).join('|')})(?![${WORD_CHARS}])`, 'i')
+        }));
+        const all = this.roles.flatMap(r => r.synonyms).sort((a, b) => b.length - a.length).map(synonymPattern);
+        this.anyRegex = all.length > 0 ? new RegExp(`(?<![${WORD_CHARS}])(?:${all.join('|')})(?![${WORD_CHARS}])`, 'i') : null;
+    }
+
+    /** Best matching role for a job title, or null. The most specific (longest) match wins, then the higher weight. */
+    match(title) {
+        if (!title) return null;
+        let best = null;
+        let bestLength = 0;
+        for (const p of this.patterns) {
+            const m = title.match(p.regex);
+            if (m && m[0].length > bestLength) {
+                best = p.role;
+                bestLength = m[0].length;
+            }
+        }
+        return best;
+    }
+
+    /** Role weight of a job title (0 if no configured role matches) */
+    score(title) {
+        const role = this.match(title);
+        return role ? role.weight : 0;
+    }
+
+    /** First role title mentioned in free page text, as written on the page */
+    findTitle(text) {
+        if (!text || !this.anyRegex) return null;
+        const m = text.match(this.anyRegex);
+        return m ? m[0] : null;
+    }
+
+    /** Search terms for people searches, highest weighted roles first */
+    searchTerms() {
+        return [...new Set(this.roles.flatMap(r => r.queryTerms))];
+    }
+
+    /** Builds an OR search clause, quoting multi-word terms */
+    searchQuery() {
+        return this.searchTerms().map(t => (/[\s-]/.test(t) ? `"${t}"` : t)).join(' OR ');
+    }
+}
+
+/**
+ * Builds a matcher from `input.roles` (or a per-company `targetRoles` override).
+ * `fallback` is the run's matcher: roles referenced by name only keep the run's synonyms and weights.
+ */
+function buildRoleMatcher(roles, fallback = null) {
+    const known = fallback ? fallback.roles : [];
+    const entries = Array.isArray(roles) && roles.length > 0 ? roles : DEFAULT_ROLE_IDS;
+    const resolved = entries.map(e => resolveRole(e, known)).filter(Boolean);
+    return new RoleMatcher(resolved.length > 0 ? resolved : DEFAULT_ROLE_IDS.map(id => resolveRole(id)));
+}
+
+const defaultRoleMatcher = buildRoleMatcher(null);
+
+module.exports = { ROLE_CATALOG, DEFAULT_ROLE_IDS, RoleMatcher, buildRoleMatcher, defaultRoleMatcher };
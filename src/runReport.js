@@ -0,0 +1,118 @@
+/**
+ * Lauf-Bericht: Eine Zeile je Unternehmen (ermittelte Domain, besuchte URLs mit HTTP-Status, Ergebnis je Extractor,
+ * Kandidaten vor/nach der Validierung, Verwerfungsgründe) und eine Zusammenfassung des ganzen Laufs.
+ */
+
+const { SourceBlockedError } = require('./sessions');
+
+const OUTCOMES = ['ok', 'empty', 'blocked', 'timeout', 'error', 'skipped'];
+
+/** Empty report row of a company; plain data, so it can be stored in the company's checkpoint */
+function newCompanyReport(entry, runId) {
+    return {
+        runId,
+        company: entry.name,
+        status: 'running',
+        domain: null,
+        baseUrl: null,
+        domainError: null,
+        cachedFrom: null,
+        extractors: [],
+        visits: [],
+        candidates: { found: 0, merged: 0, validated: 0, aboveMinConfidence: 0, saved: 0 },
+        discards: {},
+        droppedEmails: {},
+        droppedPhones: 0,
+        changes: null,
+        delivery: null,
+        error: null,
+        startedAt: new Date().toISOString(),
+        finishedAt: null
+    };
+}
+
+function isTimeout(err) {
+    return Boolean(err) && (err.name === 'TimeoutError' || /timeout \d+\s?ms exceeded|timed out/i.test(err.message || ''));
+}
+
+/** Visit entry for a page or file request: HTTP status, or the error ("timeout" for timeouts) */
+function visitEntry(url, response, err = null) {
+    return {
+        url,
+        status: response ? response.status() : null,
+        error: err ? (isTimeout(err) ? 'timeout' : (err.message || String(err)).split('\n')[0]) : null
+    };
+}
+
+/**
+ * Outcome of one extractor run: `blocked` (login wall, captcha, budget), `timeout`/`error` when it threw or
+ * when every request it made failed, otherwise `ok` with candidates and `empty` without.
+ */
+function extractorOutcome({ candidates = [], error = null, visits = [] }) {
+    if (error instanceof SourceBlockedError) return 'blocked';
+    if (error) return isTimeout(error) ? 'timeout' : 'error';
+    if (candidates.length > 0) return 'ok';
+    const failed = visits.filter(v => v.error || v.status >= 500);
+    if (visits.length > 0 && failed.length === visits.length) return failed.every(v => v.error === 'timeout') ? 'timeout' : 'error';
+    return 'empty';
+}
+
+function countInto(counts, key, n = 1) {
+    counts[key] = (counts[key] || 0) + n;
+}
+
+function statusClass(visit) {
+    if (visit.error) return visit.error === 'timeout' ? 'timeout' : 'failed';
+    if (visit.status === null) return 'unknown';
+    return `${Math.floor(visit.status / 100)}xx`;
+}
+
+/**
+ * Aggregates the company reports of a run.
+ * @param {object[]} reports report rows (see newCompanyReport)
+ * @param {{ runId: string, startedAt: string, sources?: object, domains?: object }} run `domains`: requests, backoffs and refusals per domain
+ */
+function summarizeRun(reports, { runId, startedAt, sources = {}, domains = {} }) {
+    const finishedAt = new Date().toISOString();
+    const summary = {
+        runId,
+        startedAt,
+        finishedAt,
+        durationMs: Date.parse(finishedAt) - Date.parse(startedAt),
+        companies: { total: reports.length, done: 0, failed: 0, withContacts: 0, withoutContacts: 0, noDomain: 0, fromCache: 0 },
+        candidates: { found: 0, merged: 0, validated: 0, aboveMinConfidence: 0, saved: 0 },
+        discards: {},
+        droppedEmails: {},
+        droppedPhones: 0,
+        changes: { new: 0, changed: 0, unchanged: 0, gone: 0 },
+        deliveries: { delivered: 0, failed: 0, skipped: 0 },
+        extractors: {},
+        pages: { visited: 0, byStatus: {} },
+        sources,
+        domains
+    };
+    for (const r of reports) {
+        const c = summary.companies;
+        if (r.status === 'done') c.done += 1;
+        if (r.status === 'failed') c.failed += 1;
+        if (r.status === 'done' && r.candidates.saved > 0) c.withContacts += 1;
+        if (r.status === 'done' && r.candidates.saved === 0) c.withoutContacts += 1;
+        if (!r.domain) c.noDomain += 1;
+        if (r.cachedFrom) c.fromCache += 1;
+        for (const [key, n] of Object.entries(r.candidates)) countInto(summary.candidates, key, n);
+        for (const [key, n] of Object.entries(r.discards)) countInto(summary.discards, key, n);
+        for (const [key, n] of Object.entries(r.droppedEmails)) countInto(summary.droppedEmails, key, n);
+        summary.droppedPhones += r.droppedPhones;
+        if (r.changes) for (const type of Object.keys(summary.changes)) summary.changes[type] += r.changes[type] || 0;
+        if (r.delivery) countInto(summary.deliveries, r.delivery.status);
+        for (const e of r.extractors) {
+            summary.extractors[e.source] = summary.extractors[e.source] || Object.fromEntries(OUTCOMES.map(o => [o, 0]));
+            summary.extractors[e.source][e.outcome] += 1;
+        }
+        summary.pages.visited += r.visits.length;
+        for (const v of r.visits) countInto(summary.pages.byStatus, statusClass(v));
+    }
+    return summary;
+}
+
+module.exports = { newCompanyReport, visitEntry, extractorOutcome, countInto, summarizeRun, isTimeout };
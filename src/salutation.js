@@ -0,0 +1,111 @@
+/**
+ * Anrede-Ermittlung: Leitet `salutation` (Herr/Frau) aus expliziten Angaben auf der Seite („Herr Dr. Müller“),
+ * weiblichen Positionsbezeichnungen („Leiterin IT“) und dem Vornamen-Verzeichnis ab und normalisiert
+ * akademische Titel für Briefanreden (`Dr.`, `Prof. Dr.`). Widersprechen sich die Hinweise, bleibt die Anrede leer.
+ */
+
+const { transliterate } = require('./utils');
+const { FEMALE, MALE, UNISEX } = require('./firstNames');
+
+const SALUTATION_WORDS = { herr: 'Herr', hr: 'Herr', mr: 'Herr', frau: 'Frau', fr: 'Frau', mrs: 'Frau', ms: 'Frau' };
+
+// Feminine job titles ("Leiterin", "Geschäftsführerin", "Managerin"); the lowercase "in" excludes
+// gender-neutral forms like "LeiterIn", "Leiter*in", "Leiter:in" and "Leiter/in"
+const FEMININE_TITLE_REGEX = /[a-zäöüß](?:er|or|ist|ent|ant|ekt|eur|änd|og|ef)in(?:nen)?(?![a-zäöüßA-Z*:/_(])/;
+
+// Explicit salutation and academic titles in front of a name
+const HONORIFIC_REGEX = /\b(?:Herr|Frau|Hr\.|Fr\.)\s+|\b(?:Prof\.|DDr\.|Dr\.(?:-Ing\.)?(?:\s?(?:rer|med|jur|phil|oec)\.(?:\s?(?:nat|pol|soc)\.)?)?|Mag\.(?:a\.?)?|DI)\s+/g;
+
+function normalizeWord(word) {
+    return transliterate((word || '').toLowerCase()).replace(/[^a-z-]/g, '');
+}
+
+const byName = new Map();
+for (const [set, gender] of [[FEMALE, 'Frau'], [MALE, 'Herr'], [UNISEX, null]]) {
+    for (const name of set) byName.set(normalizeWord(name), gender);
+}
+
+/** "Herr", "Hr.", "Mrs" … -> 'Herr' | 'Frau'; null for anything else */
+function normalizeSalutation(value) {
+    return SALUTATION_WORDS[(value || '').trim().toLowerCase().replace(/\.$/, '')] || null;
+}
+
+/** Salutation implied by the first name; null for unisex or unknown names */
+function salutationFromFirstName(firstName) {
+    const first = normalizeWord((firstName || '').trim().split(/\s+/)[0]);
+    if (!first) return null;
+    // "Marie-Luise" may be listed as a whole, "Hans-Peter" by its first part
+    if (byName.has(first)) return byName.get(first);
+    return byName.get(first.split('-')[0]) ?? null;
+}
+
+/** 'Frau' for feminine job titles; masculine titles are used generically in German and say nothing */
+function salutationFromJobTitle(jobTitle) {
+    return jobTitle && FEMININE_TITLE_REGEX.test(jobTitle) ? 'Frau' : null;
+}
+
+/**
+ * Title as used in a letter's salutation: "Prof. Dr.-Ing." -> "Prof. Dr.", "Dr. rer. nat." -> "Dr.", "Mag.a" -> "Mag.";
+ * degrees that are not part of a salutation (Dipl.-Ing., MBA, M.Sc.) are dropped.
+ */
+function normalizeAcademicTitle(raw) {
+    if (!raw) return null;
+    const parts = [];
+    if (/\bprof\b/i.test(raw)) parts.push('Prof.');
+    if (/\bddr\b/i.test(raw)) parts.push('DDr.');
+    else if (/\bdr\b/i.test(raw)) parts.push('Dr.');
+    if (/\bmag\b/i.test(raw)) parts.push('Mag.');
+    if (/\bDI\b/.test(raw)) parts.push('DI');
+    return parts.length > 0 ? parts.join(' ') : null;
+}
+
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Salutation and academic title written in front of a person's name in free text:
+ * "Herr Dr. Max Mustermann", "Frau Krüger", "Prof. Dr. Jan von Ahlen", or pronouns after it ("Erika Musterfrau (sie/ihr)").
+ * @returns {{ salutation: 'Herr'|'Frau'|null, academicTitle: string|null }}
+ */
+function salutationFromText(text, firstName, lastName) {
+    const none = { salutation: null, academicTitle: null };
+    if (!text || !lastName) return none;
+    const name = `(?:${firstName ? `${escapeRegExp(firstName)}\\s+` : ''})?${escapeRegExp(lastName)}`;
+    const titles = '((?:(?:Prof\\.|DDr\\.|Dr\\.[^\\s]*|Mag\\.(?:a\\.?)?|DI|Dipl\\.-[A-Za-zäöü]+\\.?)\\s+)*)';
+    const m = text.match(new RegExp(`(?:\\b(Herr|Frau|Hr\\.|Fr\\.)\\s+)?${titles}${name}(?![a-zäöüß])(?:\\s*\\(([Ss]ie|[Ss]he|[Ee]r|[Hh]e)\\s*/\\s*(?:[Ii]hr|[Hh]er|[Ii]hm|[Hh]im)\\))?`));
+    if (!m) return none;
+    const pronoun = m[3] ? (/^(?:sie|she)$/i.test(m[3]) ? 'Frau' : 'Herr') : null;
+    const explicit = normalizeSalutation(m[1]);
+    return {
+        salutation: explicit && pronoun && explicit !== pronoun ? null : explicit || pronoun,
+        academicTitle: normalizeAcademicTitle(m[2])
+    };
+}
+
+/** Text without salutations and academic titles, so name patterns do not take "Herr Dr" for a name */
+function withoutHonorifics(text) {
+    return (text || '').replace(HONORIFIC_REGEX, '');
+}
+
+/**
+ * Final salutation of a contact from all signals: explicit salutation, feminine job title, first name.
+ * Any contradiction between available signals gives null rather than a guess.
+ * @param {{ firstName?: string|null, salutation?: string|null, jobTitle?: string|null }} contact
+ * @returns {'Herr'|'Frau'|null}
+ */
+function detectSalutation({ firstName, salutation, jobTitle }) {
+    const signals = [normalizeSalutation(salutation), salutationFromJobTitle(jobTitle), salutationFromFirstName(firstName)].filter(Boolean);
+    if (signals.length === 0) return null;
+    return signals.every(s => s === signals[0]) ? signals[0] : null;
+}
+
+module.exports = {
+    detectSalutation,
+    normalizeSalutation,
+    normalizeAcademicTitle,
+    salutationFromFirstName,
+    salutationFromJobTitle,
+    salutationFromText,
+    withoutHonorifics
+};
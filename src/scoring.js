@@ -0,0 +1,63 @@
+/**
+ * Scoring-Modell: Bewertet jeden Kontakt nachvollziehbar aus Rollengewicht, Quellenzuverlässigkeit,
+ * E-Mail-Prüfergebnis und Vollständigkeit. `score` (0–1) ist die Summe der Teilwerte in `scoreBreakdown`.
+ */
+
+const { defaultRoleMatcher } = require('./roles');
+const { isValidEmail } = require('./validators');
+
+/** Maximum share of the score per component; sums to 1 */
+const SCORE_WEIGHTS = { role: 0.4, source: 0.2, email: 0.25, completeness: 0.15 };
+
+// Score a contact needs to count towards stopping the extractor chain early
+const EARLY_STOP_SCORE = 0.6;
+
+const COMPLETENESS_FIELDS = ['firstName', 'lastName', 'jobTitle', 'email', 'phone', 'linkedInUrl', 'location'];
+
+function round(n) {
+    return Math.round(n * 1000) / 1000;
+}
+
+/** 0–1 quality of the contact's email; without an address a valid phone still counts for a little */
+function emailQuality(contact) {
+    if (contact.email) {
+        const validation = contact.emailValidation;
+        // before validation has run (early stop check) only the offline checks are known
+        const valid = validation ? validation.valid : isValidEmail(contact.email);
+        if (!valid) return 0;
+        const dnsFactor = validation && validation.dns === 'a' ? 0.9 : 1;
+        const sourceFactor = contact.emailSource === 'inferred' ? (contact.emailConfidence ?? 0.25) : 1;
+        return dnsFactor * sourceFactor;
+    }
+    return contact.phone ? 0.2 : 0;
+}
+
+/**
+ * Scores one contact.
+ * @param {object} contact validated (or merged) contact
+ * @param {{ roleMatcher?: import('./roles').RoleMatcher }} [opts]
+ * @returns {{ score: number, scoreBreakdown: { role: number, source: number, email: number, completeness: number } }}
+ */
+function scoreContact(contact, { roleMatcher = defaultRoleMatcher } = {}) {
+    const maxWeight = Math.max(...roleMatcher.roles.map(r => r.weight), 1);
+    const role = Math.min(roleMatcher.score(contact.jobTitle) / maxWeight, 1);
+    const source = contact.confidence ?? 0;
+    const email = emailQuality(contact);
+    const filled = COMPLETENESS_FIELDS.filter(f => contact[f]).length / COMPLETENESS_FIELDS.length;
+
+    const scoreBreakdown = {
+        role: round(role * SCORE_WEIGHTS.role),
+        source: round(source * SCORE_WEIGHTS.source),
+        email: round(email * SCORE_WEIGHTS.email),
+        completeness: round(filled * SCORE_WEIGHTS.completeness)
+    };
+    const score = round(scoreBreakdown.role + scoreBreakdown.source + scoreBreakdown.email + scoreBreakdown.completeness);
+    return { score, scoreBreakdown };
+}
+
+/** Number of contacts that already score at least `threshold` */
+function countHighScoring(contacts, threshold, opts) {
+    return contacts.filter(c => scoreContact(c, opts).score >= threshold).length;
+}
+
+module.exports = { SCORE_WEIGHTS, EARLY_STOP_SCORE, scoreContact, countHighScoring };
@@ -0,0 +1,213 @@
+/**
+ * Sitzungen für LinkedIn/XING: Lädt Cookies bzw. Playwright-`storageState` aus einem Input-Secret oder dem
+ * Key-Value-Store, erkennt Login-Wall, abgelaufene Sitzung und Captcha und begrenzt die Profilaufrufe je Konto und Tag.
+ */
+
+const crypto = require('crypto');
+
+const PLATFORM_NAMES = { linkedin: 'LinkedIn', xing: 'XING' };
+
+// Default hosts of the social networks; tests point `platformUrl` at a local fixture server
+const PLATFORM_URLS = { linkedin: 'https://www.linkedin.com', xing: 'https://www.xing.com' };
+
+// Cookie carrying the login; identifies the account for the profile-view budget
+const AUTH_COOKIES = { linkedin: 'li_at' };
+
+const BLOCK_MESSAGES = {
+    login_wall: 'login wall — provide a session (cookies or storageState) for this source',
+    session_expired: 'session expired or logged out — export fresh cookies',
+    captcha: 'captcha / security check',
+    budget_exhausted: 'daily profile-view budget used up',
+    robots_txt: 'robots.txt disallows the pages needed',
+    domain_cap: 'request cap for the platform reached (maxRequestsPerDomain)'
+};
+
+const CAPTCHA_URL_REGEX = /captcha|checkpoint\/challenge|\/challenge\b/i;
+const CAPTCHA_HTML_REGEX = /<iframe\b[^>]*src\s*=\s*["'][^"']*(?:recaptcha|hcaptcha|arkoselabs|funcaptcha)|class\s*=\s*["'][^"']*\b(?:g-recaptcha|h-captcha|captcha)\b/i;
+const CAPTCHA_TITLE_REGEX = /captcha|security (?:check|verification)|sicherheits(?:überprüfung|prüfung|check)/i;
+const LOGIN_URL_REGEX = /\/(?:authwall|login|signin|uas\/login|checkpoint\/lg)\b|^https?:\/\/login\./i;
+const PASSWORD_INPUT_REGEX = /<input\b[^>]*type\s*=\s*["']?password/i;
+
+/**
+ * Thrown by the LinkedIn/XING extractors when the source cannot be used any further in this run.
+ * `candidates` holds the contacts collected before the block.
+ */
+class SourceBlockedError extends Error {
+    constructor(source, reason, candidates = []) {
+        super(`${PLATFORM_NAMES[source] || source}: ${BLOCK_MESSAGES[reason] || reason}`);
+        this.name = 'SourceBlockedError';
+        this.source = source;
+        this.reason = reason;
+        this.candidates = candidates;
+    }
+}
+
+const SAME_SITE = { no_restriction: 'None', none: 'None', lax: 'Lax', strict: 'Strict' };
+
+/** Playwright cookie from a Playwright, Puppeteer or browser-extension ("EditThisCookie") export */
+function normalizeCookie(cookie, defaultDomain) {
+    if (!cookie || typeof cookie.name !== 'string' || cookie.value === undefined) return null;
+    const expires = cookie.expires ?? cookie.expirationDate;
+    return {
+        name: cookie.name,
+        value: String(cookie.value),
+        domain: cookie.domain || defaultDomain,
+        path: cookie.path || '/',
+        expires: typeof expires === 'number' && expires > 0 ? expires : -1,
+        httpOnly: Boolean(cookie.httpOnly),
+        secure: Boolean(cookie.secure),
+        sameSite: SAME_SITE[String(cookie.sameSite || '').toLowerCase()] || 'Lax'
+    };
+}
+
+/** Cookie domain for a platform base URL: ".linkedin.com", or the bare host for IP addresses */
+function cookieDomain(platformUrl) {
+    const host = new URL(platformUrl).hostname;
+    return /^[\d.]+$/.test(host) || host === 'localhost' ? host : `.${host.replace(/^www\./, '')}`;
+}
+
+/**
+ * Reads a session value: Playwright `storageState` ({ cookies, origins }), a cookie array, or a
+ * `Cookie` header ("li_at=…; JSESSIONID=…"), given as object or JSON string.
+ * Expired cookies are dropped.
+ * @returns {{ storageState: { cookies: object[], origins: object[] }, account: string, expired: boolean } | null} null without a value
+ */
+function parseSession(value, platform, platformUrl) {
+    if (value === null || value === undefined || value === '') return null;
+    let data = value;
+    if (typeof value === 'string') {
+        const text = value.trim();
+        if (!text) return null;
+        if (/^[[{]/.test(text)) {
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                throw new Error(`Invalid ${PLATFORM_NAMES[platform]} session: ${e.message}`);
+            }
+        } else {
+            data = text.split(';').map(pair => pair.trim()).filter(Boolean).map(pair => {
+                const at = pair.indexOf('=');
+                return at > 0 ? { name: pair.slice(0, at).trim(), value: pair.slice(at + 1).trim() } : null;
+            });
+        }
+    }
+    const rawCookies = Array.isArray(data) ? data : data && Array.isArray(data.cookies) ? data.cookies : null;
+    if (!rawCookies) throw new Error(`Invalid ${PLATFORM_NAMES[platform]} session: expected storageState, a cookie array or a Cookie header`);
+
+    const domain = cookieDomain(platformUrl);
+    const all = rawCookies.map(c => normalizeCookie(c, domain)).filter(Boolean);
+    if (all.length === 0) throw new Error(`Invalid ${PLATFORM_NAMES[platform]} session: no cookies`);
+    const now = Date.now() / 1000;
+    const cookies = all.filter(c => c.expires === -1 || c.expires > now);
+    return {
+        storageState: { cookies, origins: Array.isArray(data.origins) ? data.origins : [] },
+        account: accountId(all, platform),
+        expired: cookies.length === 0
+    };
+}
+
+/** Short stable hash of the login cookie (all cookies if the platform's login cookie is unknown) */
+function accountId(cookies, platform) {
+    const auth = cookies.filter(c => c.name === AUTH_COOKIES[platform]);
+    const basis = (auth.length > 0 ? auth : cookies).map(c => `${c.name}=${c.value}`).sort().join(';');
+    return crypto.createHash('sha256').update(basis).digest('hex').slice(0, 12);
+}
+
+/**
+ * Session of one platform: the input secret (`linkedInSession`, `xingSession`) wins over the
+ * Key-Value-Store record `LINKEDIN_SESSION` / `XING_SESSION`.
+ */
+async function loadSession(platform, { secret, store, platformUrl }) {
+    const fromInput = parseSession(secret, platform, platformUrl);
+    if (fromInput) return fromInput;
+    const stored = store ? await store.getValue(`${platform.toUpperCase()}_SESSION`) : null;
+    return parseSession(stored, platform, platformUrl);
+}
+
+/**
+ * Everything an extractor needs for one platform during a run: cookies, whether they were provided,
+ * and the account's profile-view budget. Without a session the budget counts for the "anonymous" account.
+ * @param {object} options
+ * @param {string|object} [options.secret] session from the actor input
+ * @param {{ getValue: Function, setValue: Function }} [options.store] Key-Value-Store for stored sessions and budgets
+ * @param {number|null} [options.dailyProfileViews] profile views per account and day; null = unlimited
+ */
+async function openSession(platform, { secret, store, platformUrl = PLATFORM_URLS[platform], dailyProfileViews = null } = {}) {
+    const loaded = await loadSession(platform, { secret, store, platformUrl });
+    const account = loaded ? loaded.account : 'anonymous';
+    return {
+        storageState: loaded && !loaded.expired ? loaded.storageState : null,
+        authenticated: Boolean(loaded),
+        expired: Boolean(loaded && loaded.expired),
+        account,
+        budget: await ProfileViewBudget.open(store, platform, account, dailyProfileViews)
+    };
+}
+
+/**
+ * Why a loaded page is not usable, from its URL, title and HTML.
+ * A login form counts as expired session when cookies were sent. Pass `html` only for pages without the
+ * expected content: public profiles with content may still carry a sign-in dialog.
+ * @returns {'captcha'|'login_wall'|'session_expired'|null}
+ */
+function detectBlock({ url = '', title = '', html = '' }, { authenticated = false } = {}) {
+    if (CAPTCHA_URL_REGEX.test(url) || CAPTCHA_TITLE_REGEX.test(title) || CAPTCHA_HTML_REGEX.test(html)) return 'captcha';
+    if (LOGIN_URL_REGEX.test(url) || PASSWORD_INPUT_REGEX.test(html)) return authenticated ? 'session_expired' : 'login_wall';
+    return null;
+}
+
+/**
+ * Per-account daily limit of opened profiles, persisted in the Key-Value-Store (`PROFILE_VIEWS_LINKEDIN` …)
+ * so that consecutive runs on the same day share it. Days are UTC; a run going past midnight starts the new day's budget.
+ */
+class ProfileViewBudget {
+    constructor(store, key, record, account, limit, clock) {
+        this.store = store;
+        this.key = key;
+        this.record = record;
+        this.account = account;
+        this.limit = limit;
+        this.clock = clock;
+    }
+
+    /**
+     * @param {number|null} limit views per day; null = unlimited
+     * @param {() => Date} [clock] current time (tests)
+     */
+    static async open(store, platform, account, limit, clock = () => new Date()) {
+        const key = `PROFILE_VIEWS_${platform.toUpperCase()}`;
+        const record = await loadDayRecord(store, key, utcDate(clock()));
+        return new ProfileViewBudget(store, key, record, account, limit, clock);
+    }
+
+    get used() {
+        return this.record.date === utcDate(this.clock()) ? this.record.accounts[this.account] || 0 : 0;
+    }
+
+    get remaining() {
+        return this.limit === null ? Infinity : Math.max(0, this.limit - this.used);
+    }
+
+    /** Reserves one profile view; false once the day's budget is used up */
+    async take() {
+        const today = utcDate(this.clock());
+        // past midnight: continue with the new day's record, which another run may have started already
+        if (this.record.date !== today) this.record = await loadDayRecord(this.store, this.key, today);
+        if (this.remaining <= 0) return false;
+        this.record.accounts[this.account] = this.used + 1;
+        if (this.store) await this.store.setValue(this.key, this.record);
+        return true;
+    }
+}
+
+function utcDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/** The stored record of `date`, or an empty one if the store holds another day's */
+async function loadDayRecord(store, key, date) {
+    const stored = store ? await store.getValue(key) : null;
+    return stored && stored.date === date ? stored : { date, accounts: {} };
+}
+
+module.exports = { PLATFORM_URLS, SourceBlockedError, parseSession, loadSession, openSession, detectBlock, ProfileViewBudget };
@@ -0,0 +1,95 @@
+/**
+ * Website-Crawl: Bewertet Links und Sitemap-Einträge einer Firmen-Website nach Stichworten
+ * (Team, Management, Vorstand, Geschäftsleitung, Ansprechpartner, Karriere …), damit der Website-Extractor
+ * innerhalb seines Seitenbudgets zuerst die vielversprechendsten Seiten derselben Website besucht.
+ */
+
+const { transliterate } = require('./utils');
+
+/** Keyword groups with their weight; each group counts once per link */
+const LINK_KEYWORDS = [
+    { pattern: /team|mitarbeiter|people|staff/, weight: 10 },
+    { pattern: /management|leadership|geschaeftsleitung|geschaeftsfuehrung|vorstand|board|fuehrung|executive/, weight: 10 },
+    { pattern: /ansprechpartner|kontaktpersonen|contact-?persons?/, weight: 8 },
+    { pattern: /ueber[-_\s]?uns|about|wir[-_\s]ueber[-_\s]uns/, weight: 6 },
+    { pattern: /karriere|career|jobs/, weight: 5 },
+    { pattern: /kontakt|contact/, weight: 4 },
+    { pattern: /unternehmen|company|firma/, weight: 3 },
+    { pattern: /impressum|imprint/, weight: 3 }
+];
+
+// Links that never lead to contact persons
+const SKIP_LINK_REGEX = /datenschutz|privacy|cookie|agb|terms|login|anmelden|warenkorb|cart|newsletter|\.(?:pdf|jpe?g|png|gif|svg|webp|zip|docx?|xlsx?|pptx?|mp4|vcf|ics)$/;
+
+// Pages at least this relevant jump the crawl queue
+const PRIORITY_SCORE = 10;
+
+/** URL without fragment and trailing slash; used as the queue's unique key */
+function pageKey(url) {
+    return url.split('#')[0].replace(/\/+$/, '');
+}
+
+/**
+ * True if `url` belongs to the site below `baseUrl`: same host ("www." ignored) and inside the base path
+ * (a website given as `firma.de/de` stays below `/de`).
+ */
+function isSameSite(url, baseUrl) {
+    try {
+        const u = new URL(url);
+        const base = new URL(baseUrl);
+        if (!/^https?:$/.test(u.protocol)) return false;
+        const host = h => h.toLowerCase().replace(/^www\./, '');
+        if (host(u.hostname) !== host(base.hostname) || u.port !== base.port) return false;
+        const basePath = base.pathname.replace(/\/+$/, '');
+        return u.pathname === basePath || u.pathname.startsWith(`${basePath}/`);
+    } catch (e) {
+        return false;
+    }
+}
+
+/** Relevance of a link for finding contact persons, from its URL path and anchor text; 0 = not worth visiting */
+function scoreLink(url, text = '') {
+    let path;
+    try {
+        path = decodeURIComponent(new URL(url).pathname);
+    } catch (e) {
+        return 0;
+    }
+    const haystack = transliterate(`${path} ${text}`.toLowerCase());
+    if (SKIP_LINK_REGEX.test(transliterate(path.toLowerCase()))) return 0;
+    return LINK_KEYWORDS.reduce((sum, k) => sum + (k.pattern.test(haystack) ? k.weight : 0), 0);
+}
+
+/**
+ * Same-site links with a positive score, best first, one entry per page.
+ * @param {{ href: string, text?: string }[]} links e.g. all anchors of a page
+ * @param {string} baseUrl company website
+ * @returns {{ url: string, score: number }[]}
+ */
+function rankLinks(links, baseUrl) {
+    const best = new Map();
+    for (const link of links) {
+        if (!link.href || !isSameSite(link.href, baseUrl)) continue;
+        const url = link.href.split('#')[0];
+        const score = scoreLink(url, link.text);
+        const key = pageKey(url);
+        if (score > 0 && (!best.has(key) || best.get(key).score < score)) best.set(key, { url, score });
+    }
+    return Array.from(best.values()).sort((a, b) => b.score - a.score);
+}
+
+function decodeXmlEntities(s) {
+    return s.replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'");
+}
+
+/**
+ * Reads a sitemap or sitemap index.
+ * @returns {{ pages: string[], sitemaps: string[] }} page URLs of a `<urlset>`, child sitemaps of a `<sitemapindex>`
+ */
+function parseSitemap(xml) {
+    const locs = Array.from((xml || '').matchAll(/<loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\/loc>/gi), m => decodeXmlEntities(m[1].trim()));
+    if (/<sitemapindex[\s>]/i.test(xml || '')) return { pages: [], sitemaps: locs };
+    return { pages: locs, sitemaps: [] };
+}
+
+module.exports = { PRIORITY_SCORE, pageKey, isSameSite, scoreLink, rankLinks, parseSitemap };
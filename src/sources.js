@@ -0,0 +1,137 @@
+/**
+ * Quellen-Registry: Jede Quelle ist ein Plugin mit Name, unterstützten Regionen, Priorität und `extract(context)`.
+ * Die eingebauten Quellen (Website, LinkedIn, XING, Impressum) sind hier registriert; weitere Quellen werden
+ * über `sourceRegistry.register()` (oder eine eigene Registry in den Optionen von `run()`) ergänzt.
+ * Das Input-Feld `sources` wählt aus und legt die Reihenfolge fest.
+ */
+
+const { extractFromWebsite, extractFromLinkedIn, extractFromXing, extractFromImpressum } = require('./extractors');
+const { regionCountry } = require('./phones');
+
+const DACH = ['DE', 'AT', 'CH'];
+
+/**
+ * @typedef {object} SourceContext what a source gets for one company
+ * @property {object} browser Playwright browser shared by the run
+ * @property {string} company company name
+ * @property {object} entry normalized `companies` entry (website, linkedInCompanyUrl, xingCompanyUrl, region, targetRoles)
+ * @property {string|null} region region of the company (entry or input)
+ * @property {string|null} baseUrl resolved website, null if none was found
+ * @property {object} roleMatcher target roles of the company (see roles.js)
+ * @property {number} pageBudget website pages per company
+ * @property {object|null} session LinkedIn/XING session of this source (see sessions.js), null for other sources
+ * @property {{ linkedin?: string, xing?: string }} platformUrls base URLs replacing the real platforms (tests)
+ * @property {object} politeness the run's politeness layer; requests should go through it (see politeness.js)
+ * @property {object[]} visits requests for the run report (see runReport.visitEntry)
+ */
+
+/**
+ * @typedef {object} SourceDefinition
+ * @property {string} name lower-case identifier, used in the `sources` input, checkpoints and reports
+ * @property {string} [label] display name
+ * @property {string[]|null} [regions] ISO country codes the source serves; null = all regions
+ * @property {number} [priority] higher runs earlier when the input does not order the sources
+ * @property {number} [retries] retries after a failed extract (SourceBlockedError is never retried)
+ * @property {(context: SourceContext) => Promise<object[]>} extract contacts (see contact.js); may throw SourceBlockedError
+ */
+
+class SourceRegistry {
+    constructor() {
+        this.sources = new Map();
+    }
+
+    /**
+     * Adds a source.
+     * @param {SourceDefinition} definition
+     * @throws {Error} on an invalid definition or a name that is already taken
+     */
+    register({ name, label = name, regions = null, priority = 0, retries = 1, extract }) {
+        if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(name)) throw new Error(`Invalid source name "${name}": lower-case letters, digits and dashes`);
+        if (this.sources.has(name)) throw new Error(`Source "${name}" is already registered`);
+        if (typeof extract !== 'function') throw new Error(`Source "${name}" needs an extract(context) function`);
+        if (regions !== null && (!Array.isArray(regions) || regions.some(r => typeof r !== 'string'))) {
+            throw new Error(`Source "${name}": regions must be an array of country codes or null`);
+        }
+        this.sources.set(name, Object.freeze({
+            name,
+            label,
+            regions: regions && regions.map(r => r.toUpperCase()),
+            priority: Number(priority) || 0,
+            retries: Number.isInteger(retries) && retries >= 0 ? retries : 1,
+            extract
+        }));
+        return this;
+    }
+
+    get(name) {
+        return this.sources.get(name) || null;
+    }
+
+    /** All sources, highest priority first (registration order on a tie) */
+    list() {
+        return [...this.sources.values()].sort((a, b) => b.priority - a.priority);
+    }
+
+    /**
+     * Sources of a run: those named in the `sources` input in that order, or all by priority.
+     * @throws {Error} on unknown or duplicate names
+     */
+    select(names) {
+        if (names === null || names === undefined) return this.list();
+        if (!Array.isArray(names) || names.length === 0) throw new Error('Invalid sources: expected a non-empty array of source names');
+        const unknown = names.filter(n => !this.sources.has(n));
+        if (unknown.length > 0) throw new Error(`Unknown source(s): ${unknown.join(', ')} (registered: ${[...this.sources.keys()].join(', ')})`);
+        if (new Set(names).size !== names.length) throw new Error('Invalid sources: each source may appear only once');
+        return names.map(n => this.sources.get(n));
+    }
+}
+
+/** Whether a source serves the company's region; companies without a known region are served by all sources */
+function supportsRegion(source, region) {
+    if (!source.regions) return true;
+    if (String(region || '').trim().toLowerCase() === 'dach') return DACH.some(c => source.regions.includes(c));
+    const country = regionCountry(region);
+    return !country || source.regions.includes(country);
+}
+
+const BUILTIN_SOURCES = [
+    {
+        name: 'website',
+        label: 'Website',
+        priority: 40,
+        extract: ctx => extractFromWebsite(ctx.browser, ctx.company, ctx.region, { baseUrl: ctx.baseUrl, roleMatcher: ctx.roleMatcher, pageBudget: ctx.pageBudget, visits: ctx.visits, politeness: ctx.politeness })
+    },
+    {
+        name: 'linkedin',
+        label: 'LinkedIn',
+        priority: 30,
+        extract: ctx => extractFromLinkedIn(ctx.browser, ctx.company, ctx.region, { companyUrl: ctx.entry.linkedInCompanyUrl, roleMatcher: ctx.roleMatcher, platformUrl: ctx.platformUrls.linkedin, session: ctx.session, visits: ctx.visits, politeness: ctx.politeness })
+    },
+    {
+        name: 'xing',
+        label: 'XING',
+        regions: DACH,
+        priority: 20,
+        extract: ctx => extractFromXing(ctx.browser, ctx.company, ctx.region, { companyUrl: ctx.entry.xingCompanyUrl, roleMatcher: ctx.roleMatcher, platformUrl: ctx.platformUrls.xing, session: ctx.session, visits: ctx.visits, politeness: ctx.politeness })
+    },
+    {
+        // the Impressum is a legal duty in Germany, Austria, Switzerland and Liechtenstein
+        name: 'impressum',
+        label: 'Impressum',
+        regions: [...DACH, 'LI'],
+        priority: 10,
+        extract: ctx => extractFromImpressum(ctx.browser, ctx.company, ctx.region, { baseUrl: ctx.baseUrl, visits: ctx.visits, politeness: ctx.politeness })
+    }
+];
+
+/** New registry with the built-in sources */
+function createSourceRegistry() {
+    const registry = new SourceRegistry();
+    for (const source of BUILTIN_SOURCES) registry.register(source);
+    return registry;
+}
+
+// Registry used by run() unless `options.sourceRegistry` is given; register own sources here
+const sourceRegistry = createSourceRegistry();
+
+module.exports = { SourceRegistry, createSourceRegistry, sourceRegistry, supportsRegion };
@@ -0,0 +1,280 @@
+/**
+ * Strukturierte Daten: Liest Personen aus schema.org-JSON-LD (`Person`, auch in `@graph` und unter `Organization.employee`),
+ * aus Mikroformaten (h-card und klassisches hCard/`vcard`) sowie aus vCard-Dateien (.vcf).
+ * Ergebnis sind Kontakt-Kandidaten mit Anrede, akademischem Titel, Name, Position, E-Mail, Telefon und Ort.
+ */
+
+const { htmlToText, parsePersonName } = require('./impressum');
+const { normalizeSalutation } = require('./salutation');
+const { createContact } = require('./contact');
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+// Microformat class names per property, new (h-card) before classic (vcard) vocabulary
+const HCARD_PROPERTIES = {
+    name: ['p-name', 'fn'],
+    givenName: ['p-given-name', 'given-name'],
+    familyName: ['p-family-name', 'family-name'],
+    honorificPrefix: ['p-honorific-prefix', 'honorific-prefix'],
+    jobTitle: ['p-job-title', 'title', 'p-role', 'role'],
+    email: ['u-email', 'email'],
+    telephone: ['p-tel', 'tel'],
+    locality: ['p-locality', 'locality'],
+    url: ['u-url', 'url']
+};
+
+function decodeAttribute(value) {
+    return value.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+}
+
+function parseAttributes(source) {
+    const attrs = {};
+    for (const m of source.matchAll(/([^\s=/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+        attrs[m[1].toLowerCase()] = decodeAttribute(m[2] ?? m[3] ?? m[4] ?? '');
+    }
+    return attrs;
+}
+
+/**
+ * Minimal tolerant HTML tree: elements with tag, attributes, children and the offsets of their inner HTML.
+ * Unclosed elements end where an enclosing element ends; script and style contents are skipped.
+ */
+function parseElements(html) {
+    const root = { tag: '#root', attrs: {}, children: [], innerStart: 0, innerEnd: html.length };
+    const stack = [root];
+    const tokens = /<!--[\s\S]*?-->|<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+    for (const m of html.matchAll(tokens)) {
+        if (m[3]) {
+            const el = { tag: m[3].toLowerCase(), attrs: parseAttributes(m[4]), children: [], innerStart: m.index + m[0].length, innerEnd: null };
+            stack[stack.length - 1].children.push(el);
+            if (!VOID_TAGS.has(el.tag) && !/\/\s*$/.test(m[4])) stack.push(el);
+            else el.innerEnd = el.innerStart;
+        } else if (m[2]) {
+            const tag = m[2].toLowerCase();
+            const at = stack.map(el => el.tag).lastIndexOf(tag);
+            if (at < 1) continue;
+            while (stack.length > at) stack.pop().innerEnd = m.index;
+        }
+    }
+    while (stack.length > 1) stack.pop().innerEnd = html.length;
+    return root;
+}
+
+function classesOf(el) {
+    return (el.attrs.class || '').split(/\s+/).filter(Boolean);
+}
+
+function isCardRoot(el) {
+    const classes = classesOf(el);
+    return classes.includes('h-card') || classes.includes('vcard');
+}
+
+function textOf(html, el) {
+    return htmlToText(html.slice(el.innerStart, el.innerEnd)).replace(/\s*\n\s*/g, ' ').trim();
+}
+
+/** "Frau Dr." -> { salutation: 'Frau', academicTitle: 'Dr.' } */
+function splitHonorific(prefix) {
+    let salutation = null;
+    const titles = [];
+    for (const word of (prefix || '').split(/\s+/).filter(Boolean)) {
+        if (normalizeSalutation(word)) salutation = normalizeSalutation(word);
+        else titles.push(word);
+    }
+    return { salutation, academicTitle: titles.length > 0 ? titles.join(' ') : null };
+}
+
+function firstString(value) {
+    if (Array.isArray(value)) return firstString(value[0]);
+    if (value && typeof value === 'object') return firstString(value.name);
+    return typeof value === 'string' && value.trim() ? value.replace(/\s+/g, ' ').trim() : null;
+}
+
+function profileUrl(urls) {
+    const list = (Array.isArray(urls) ? urls : [urls]).filter(u => typeof u === 'string');
+    return list.find(u => /linkedin\.com\/in\/|xing\.com\/profile\//i.test(u)) || null;
+}
+
+/**
+ * Builds a contact candidate from the person fields shared by all formats.
+ * Returns null for records that carry neither a full name nor an email or phone number.
+ */
+function personContact(person, company) {
+    const honorific = splitHonorific(firstString(person.honorificPrefix));
+    let salutation = honorific.salutation;
+    let academicTitle = honorific.academicTitle;
+    let firstName = firstString(person.givenName);
+    let lastName = firstString(person.familyName);
+    const name = firstString(person.name);
+    if ((!firstName || !lastName) && name) {
+        const parsed = parsePersonName(name);
+        if (parsed) {
+            firstName = parsed.firstName;
+            lastName = parsed.lastName;
+            salutation = salutation || parsed.salutation;
+            academicTitle = academicTitle || parsed.academicTitle;
+        }
+    }
+    const email = firstString(person.email);
+    const phone = firstString(person.telephone);
+    if (!(firstName && lastName) && !email && !phone) return null;
+    return createContact('website', {
+        company,
+        location: firstString(person.locality),
+        salutation,
+        academicTitle,
+        firstName: firstName || null,
+        lastName: lastName || null,
+        email: email ? email.replace(/^mailto:/i, '').split('?')[0] : null,
+        phone: phone ? phone.replace(/^tel:/i, '') : null,
+        jobTitle: firstString(person.jobTitle),
+        linkedInUrl: profileUrl(person.url)
+    });
+}
+
+function hasType(node, type) {
+    const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+    return types.some(t => typeof t === 'string' && t.replace(/^.*[/:]/, '') === type);
+}
+
+/** All schema.org Person nodes in a JSON-LD document, wherever they are nested */
+function jsonLdPersons(doc) {
+    const persons = [];
+    const seen = new Set();
+    (function walk(node) {
+        if (!node || typeof node !== 'object' || seen.has(node)) return;
+        seen.add(node);
+        if (Array.isArray(node)) {
+            node.forEach(walk);
+            return;
+        }
+        if (hasType(node, 'Person')) persons.push(node);
+        Object.values(node).forEach(walk);
+    })(doc);
+    return persons;
+}
+
+/** Person contacts from the page's `<script type="application/ld+json">` blocks; invalid JSON is skipped */
+function jsonLdContacts(html, company) {
+    const contacts = [];
+    for (const m of html.matchAll(/<script\b[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script\s*>/gi)) {
+        let doc;
+        try {
+            doc = JSON.parse(m[1].trim());
+        } catch (e) {
+            continue;
+        }
+        for (const p of jsonLdPersons(doc)) {
+            const address = Array.isArray(p.address) ? p.address[0] : p.address;
+            const contact = personContact({
+                ...p,
+                url: [].concat(p.sameAs || [], p.url || []),
+                locality: address && typeof address === 'object' ? address.addressLocality : null
+            }, company);
+            if (contact) contacts.push(contact);
+        }
+    }
+    return contacts;
+}
+
+/** Person contacts from h-card / classic hCard markup; cards nested in a card (the person's employer) are ignored */
+function hCardContacts(html, company) {
+    const contacts = [];
+    const cards = [];
+    (function findCards(el) {
+        for (const child of el.children) {
+            if (isCardRoot(child)) cards.push(child);
+            else findCards(child);
+        }
+    })(parseElements(html));
+
+    for (const card of cards) {
+        const found = {};
+        (function collect(el) {
+            for (const child of el.children) {
+                for (const cls of classesOf(child)) found[cls] = found[cls] || child;
+                // properties of a nested card belong to that card
+                if (!isCardRoot(child)) collect(child);
+            }
+        })(card);
+
+        const person = {};
+        for (const [prop, classes] of Object.entries(HCARD_PROPERTIES)) {
+            const el = classes.map(c => found[c]).find(Boolean);
+            if (!el) continue;
+            const href = el.attrs.href || '';
+            if (prop === 'email' && /^mailto:/i.test(href)) person.email = href;
+            else if (prop === 'telephone' && /^tel:/i.test(href)) person.telephone = href;
+            else if (prop === 'url') person.url = href || textOf(html, el);
+            else person[prop] = el.attrs.title || el.attrs.value || textOf(html, el);
+        }
+        // an organisation's card has no person name, or marks its name as "org" (class="fn org")
+        const nameEl = found['p-name'] || found.fn;
+        if (nameEl && classesOf(nameEl).some(c => c === 'org' || c === 'p-org')) continue;
+        if (!person.name && !person.givenName && !person.familyName) continue;
+        const contact = personContact(person, company);
+        if (contact) contacts.push(contact);
+    }
+    return contacts;
+}
+
+/** JSON-LD first, then microformats; both describe people explicitly, unlike free text */
+function structuredContacts(html, company) {
+    if (!html) return [];
+    return [...jsonLdContacts(html, company), ...hCardContacts(html, company)];
+}
+
+function unescapeVCard(value) {
+    return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+/** Splits a structured vCard value at unescaped semicolons */
+function vCardParts(value) {
+    return value.split(/(?<!\\);/).map(unescapeVCard);
+}
+
+/**
+ * Parses vCard 2.1/3.0/4.0 text (one or more cards) into contact candidates.
+ * Fax numbers (`TEL;TYPE=fax`) are skipped; work entries win over others.
+ */
+function parseVCard(text, company) {
+    const contacts = [];
+    // folded lines continue with a leading space or tab
+    const lines = (text || '').replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    let card = null;
+    for (const line of lines) {
+        const m = line.match(/^(?:[\w-]+\.)?([A-Za-z-]+)((?:;[^:]*)?):(.*)$/);
+        if (!m) continue;
+        const prop = m[1].toUpperCase();
+        const params = m[2].toLowerCase();
+        const value = m[3];
+        if (prop === 'BEGIN' && /vcard/i.test(value)) {
+            card = { email: [], telephone: [], url: [] };
+        } else if (prop === 'END' && card) {
+            const person = {
+                ...card,
+                email: card.email.sort((a, b) => b.work - a.work).map(e => e.value),
+                telephone: card.telephone.sort((a, b) => b.work - a.work).map(t => t.value)
+            };
+            const contact = personContact(person, company);
+            if (contact) contacts.push(contact);
+            card = null;
+        } else if (card) {
+            const work = /work/.test(params) ? 1 : 0;
+            if (prop === 'FN') card.name = unescapeVCard(value);
+            else if (prop === 'N') {
+                const [family, given, , prefix] = vCardParts(value);
+                card.familyName = family || null;
+                card.givenName = given || null;
+                card.honorificPrefix = prefix || null;
+            } else if (prop === 'TITLE' || (prop === 'ROLE' && !card.jobTitle)) card.jobTitle = unescapeVCard(value);
+            else if (prop === 'EMAIL') card.email.push({ value: unescapeVCard(value).replace(/^mailto:/i, ''), work });
+            else if (prop === 'TEL' && !/fax/.test(params)) card.telephone.push({ value: unescapeVCard(value).replace(/^tel:/i, ''), work });
+            else if (prop === 'ADR' && !card.locality) card.locality = vCardParts(value)[3] || null;
+            else if (prop === 'URL' || prop === 'X-SOCIALPROFILE') card.url.push(unescapeVCard(value));
+        }
+    }
+    return contacts;
+}
+
+module.exports = { structuredContacts, jsonLdContacts, hCardContacts, parseVCard, parseElements };
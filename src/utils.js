@@ -1,59 +1,84 @@
-const { sleep } = require('crawlee');
 const { parse: parseDomain } = require('tldts');
+const { defaultRoleMatcher } = require('./roles');
 
-/** Rate limiter simple per-domain last request tracking */
-class RateLimiter {
-    constructor(minDelayMs = 1000) {
-        this.minDelayMs = minDelayMs;
-        this.lastCall = new Map();
-    }
-
-    async waitFor(domain) {
-        const now = Date.now();
-        const last = this.lastCall.get(domain) || 0;
-        const elapsed = now - last;
-        if (elapsed < this.minDelayMs) {
-            await sleep(this.minDelayMs - elapsed);
-        }
-        this.lastCall.set(domain, Date.now());
-    }
-}
-
-const ROLE_PRIORITY = {
-    'ctO': 100,
-    'cto': 100,
-    'cio': 95,
-    'head of it': 90,
-    'it-leiter': 90,
-    'it manager': 85,
-    'vp engineering': 80,
-    'engineering manager': 70,
-    'head of talent acquisition': 60,
-    'hr director': 50,
-    'recruiting manager': 45
-};
-
-function roleScore(title) {
+/** Role relevance of a job title, weighted by the configured roles (see roles.js) */
+function roleScore(title, matcher = defaultRoleMatcher) {
     if (!title) return 0;
-    const t = title.toLowerCase();
-    let score = 0;
-    Object.keys(ROLE_PRIORITY).forEach(k => {
-        if (t.includes(k)) score = Math.max(score, ROLE_PRIORITY[k]);
-    });
-    return score;
+    return matcher.score(title);
 }
 
 function normalizeCompanyName(name) {
     return name.trim();
 }
 
+/**
+ * Normalizes one `companies` input entry. Entries are either a plain company name or an object
+ * { name, website, linkedInCompanyUrl, xingCompanyUrl, region, targetRoles } (e.g. from a CRM export).
+ * Returns null for entries without a usable name.
+ */
+function normalizeCompanyInput(entry) {
+    if (typeof entry === 'string') {
+        const name = normalizeCompanyName(entry);
+        return name ? { name, website: null, linkedInCompanyUrl: null, xingCompanyUrl: null, region: null, targetRoles: null } : null;
+    }
+    if (!entry || typeof entry !== 'object' || typeof entry.name !== 'string') return null;
+    const name = normalizeCompanyName(entry.name);
+    if (!name) return null;
+    const str = v => (typeof v === 'string' && v.trim() ? v.trim() : null);
+    // role names or role definitions, see roles.js
+    const targetRoles = Array.isArray(entry.targetRoles)
+        ? entry.targetRoles
+            .filter(r => (typeof r === 'string' && r.trim()) || (r && typeof r === 'object' && typeof r.name === 'string'))
+            .map(r => (typeof r === 'string' ? r.trim() : r))
+        : null;
+    return {
+        name,
+        website: str(entry.website),
+        linkedInCompanyUrl: str(entry.linkedInCompanyUrl),
+        xingCompanyUrl: str(entry.xingCompanyUrl),
+        region: str(entry.region),
+        targetRoles: targetRoles && targetRoles.length > 0 ? targetRoles : null
+    };
+}
+
 function domainFromUrl(url) {
     try {
         const d = parseDomain(url);
-        return d?.domain ? `${d.domain}.${d.publicSuffix}` : null;
+        // `domain` is the registrable domain including its public suffix ("acme.co.uk")
+        return d?.domain || null;
     } catch (e) {
         return null;
     }
 }
 
-module.exports = { RateLimiter, roleScore, normalizeCompanyName, domainFromUrl };
+const UMLAUTS = { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'ß': 'ss', 'Ä': 'Ae', 'Ö': 'Oe', 'Ü': 'Ue' };
+
+/** ASCII transliteration: umlauts as ae/oe/ue/ss, other diacritics dropped ("Müller" -> "Mueller", "José" -> "Jose") */
+function transliterate(text) {
+    return text
+        .replace(/[äöüßÄÖÜ]/g, ch => UMLAUTS[ch])
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+/** Edit distance, used for typo and fuzzy name matching */
+function levenshtein(a, b) {
+    const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diag = prev[0];
+        prev[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const tmp = prev[j];
+            prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diag = tmp;
+        }
+    }
+    return prev[b.length];
+}
+
+/** Joins a base URL (which may carry a path like sap.com/germany) with a page path */
+function joinUrl(baseUrl, path) {
+    return `${baseUrl.replace(/\/+$/, '')}${path.startsWith('/') ? path : `/${path}`}`;
+}
+
+module.exports = { roleScore, normalizeCompanyName, normalizeCompanyInput, domainFromUrl, joinUrl, transliterate, levenshtein };
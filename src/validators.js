@@ -1,26 +1,136 @@
 // Validators for email and phone + general field checks
 
+const dns = require('dns');
+const { parse: parseDomain } = require('tldts');
+const { parsePhone } = require('./phones');
+const { levenshtein } = require('./utils');
+
 const EMAIL_RFC5322_REGEX = /^(?:(?:[a-zA-Z0-9!#$%&'*+\/=?^_`{|}~-]+(?:\.[a-zA-Z0-9!#$%&'*+\/=?^_`{|}~-]+)*)|(?:\"(?:[\x01-\x08\x0b\x0c\x0e-\x1f\x21\x23-\x5b\x5d-\x7f]|\\[\x01-\x09\x0b\x0c\x0e-\x7f])*\"))@(?:(?:[a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?\.)+[a-zA-Z]{2,}|\[(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3})\])$/;
 
-// E.164-ish international phone validation (starts with +, 7-15 digits)
-const PHONE_E164_REGEX = /^\+?[1-9]\d{6,14}$/;
+
+// Role/function inboxes: reach a department, not the person we are looking for
+const ROLE_INBOXES = new Set([
+    'info', 'contact', 'kontakt', 'hello', 'hallo', 'support', 'service', 'noreply', 'no-reply', 'donotreply', 'office', 'mail', 'post',
+    'jobs', 'job', 'karriere', 'career', 'careers', 'bewerbung', 'bewerbungen', 'recruiting', 'hr', 'personal',
+    'datenschutz', 'privacy', 'dsb', 'gdpr', 'presse', 'press', 'marketing', 'sales', 'vertrieb', 'einkauf', 'buchhaltung',
+    'rechnung', 'rechnungen', 'invoice', 'billing', 'webmaster', 'postmaster', 'hostmaster', 'admin', 'abuse', 'empfang', 'zentrale', 'team'
+]);
+
+const DISPOSABLE_DOMAINS = new Set([
+    'mailinator.com', 'guerrillamail.com', 'guerrillamail.de', 'sharklasers.com', '10minutemail.com', '10minutemail.de', 'tempmail.com',
+    'temp-mail.org', 'tempmail.de', 'throwawaymail.com', 'trashmail.com', 'trashmail.de', 'wegwerfmail.de', 'wegwerfmail.net',
+    'yopmail.com', 'yopmail.fr', 'getnada.com', 'dispostable.com', 'maildrop.cc', 'spambog.com', 'spambog.de', 'einrot.com',
+    'fakeinbox.com', 'mytemp.email', 'emailondeck.com', 'mohmal.com', 'discard.email', 'spamgourmet.com', 'mailnesia.com'
+]);
+
+// Frequent misspellings of mail providers -> correct domain; only domains that are no real mail domain themselves
+const TYPO_DOMAINS = {
+    'gmial.com': 'gmail.com', 'gmai.com': 'gmail.com', 'gamil.com': 'gmail.com', 'gmail.con': 'gmail.com', 'gnail.com': 'gmail.com',
+    'hotmial.com': 'hotmail.com', 'hotmai.com': 'hotmail.com', 'hotmail.con': 'hotmail.com', 'outlok.com': 'outlook.com',
+    'gmx.dee': 'gmx.de', 'gmx.d': 'gmx.de', 'gxm.de': 'gmx.de', 'web.dee': 'web.de', 'wbe.de': 'web.de',
+    't-onlin.de': 't-online.de', 'yaho.com': 'yahoo.com', 'yahoo.con': 'yahoo.com', 'icloud.con': 'icloud.com', 'iclod.com': 'icloud.com'
+};
+
+function splitAddress(email) {
+    const at = email.lastIndexOf('@');
+    return { local: email.slice(0, at).toLowerCase(), domain: email.slice(at + 1).toLowerCase() };
+}
+
+function isSyntacticallyValidEmail(e) {
+    return e.length <= 254 && EMAIL_RFC5322_REGEX.test(e);
+}
+
+function isRoleInbox(local) {
+    return ROLE_INBOXES.has(local.replace(/[\d._-]+$/, ''));
+}
 
 function isValidEmail(email) {
     if (!email || typeof email !== 'string') return false;
     const e = email.trim();
-    if (e.length > 254) return false;
-    if (!EMAIL_RFC5322_REGEX.test(e)) return false;
-    // exclude generic inboxes
-    const lower = e.toLowerCase();
-    const banned = ['info@', 'contact@', 'hello@', 'support@', 'noreply@', 'no-reply@'];
-    for (const b of banned) if (lower.startsWith(b)) return false;
-    return true;
+    if (!isSyntacticallyValidEmail(e)) return false;
+    // exclude generic and role inboxes
+    return !isRoleInbox(splitAddress(e).local);
 }
 
-function isValidPhone(phone) {
-    if (!phone || typeof phone !== 'string') return false;
-    const digits = phone.replace(/[^+0-9]/g, '');
-    return PHONE_E164_REGEX.test(digits);
+/**
+ * Same registrable domain (subdomains included) or the same name under another suffix (sap.de / sap.com)
+ * counts as the company domain; other.co.uk is not acme.co.uk.
+ */
+function matchesCompanyDomain(domain, companyDomain) {
+    if (domain === companyDomain || domain.endsWith(`.${companyDomain}`)) return true;
+    const a = parseDomain(domain);
+    const b = parseDomain(companyDomain);
+    if (!a.domain || !b.domain) return false;
+    return a.domain === b.domain || a.domainWithoutSuffix === b.domainWithoutSuffix;
+}
+
+/**
+ * DNS check through a pluggable resolver ({ resolveMx, resolve4 } like `dns.promises`), cached per domain.
+ * Resolves to 'mx', 'a' (no MX but an A record, RFC 5321 fallback), 'none', or null if DNS could not answer.
+ */
+function createDnsChecker(resolver = dns.promises) {
+    const cache = new Map();
+    const missing = err => ['ENOTFOUND', 'ENODATA', 'NXDOMAIN', 'ENONAME'].includes(err && err.code);
+    async function lookup(domain) {
+        try {
+            const mx = await resolver.resolveMx(domain);
+            if (Array.isArray(mx) && mx.length > 0) return 'mx';
+        } catch (err) {
+            if (!missing(err)) return null;
+        }
+        try {
+            const a = await resolver.resolve4(domain);
+            return Array.isArray(a) && a.length > 0 ? 'a' : 'none';
+        } catch (err) {
+            return missing(err) ? 'none' : null;
+        }
+    }
+    return domain => {
+        if (!cache.has(domain)) cache.set(domain, lookup(domain));
+        return cache.get(domain);
+    };
+}
+
+const defaultDnsChecker = createDnsChecker();
+
+/**
+ * Validates one address and explains the result.
+ * Reasons: ok, missing, syntax, role_inbox, disposable, typo_domain, domain_mismatch, no_dns.
+ * @param {string} email
+ * @param {{ companyDomain?: string|null, dnsChecker?: Function|null }} [opts] pass `dnsChecker: null` to skip DNS
+ * @returns {Promise<{ email, valid: boolean, reason: string, suggestion: string|null, dns: string|null }>}
+ */
+async function validateEmail(email, { companyDomain = null, dnsChecker = defaultDnsChecker } = {}) {
+    const result = (valid, reason, extra = {}) => ({ email: email || null, valid, reason, suggestion: null, dns: null, ...extra });
+    if (!email || typeof email !== 'string') return result(false, 'missing');
+    const e = email.trim();
+    if (!isSyntacticallyValidEmail(e)) return result(false, 'syntax');
+
+    const { local, domain } = splitAddress(e);
+    if (isRoleInbox(local)) return result(false, 'role_inbox');
+    if (DISPOSABLE_DOMAINS.has(domain)) return result(false, 'disposable');
+
+    // the company's own domain is never a typo, even if it looks like one of a mail provider
+    const company = companyDomain ? companyDomain.toLowerCase() : null;
+    const ownDomain = Boolean(company) && matchesCompanyDomain(domain, company);
+    if (!ownDomain && TYPO_DOMAINS[domain]) return result(false, 'typo_domain', { suggestion: `${local}@${TYPO_DOMAINS[domain]}` });
+
+    if (company && !ownDomain) {
+        // one or two edits away from the company domain and not resolving: "bosch.dee", "bsoch.de"; sas.com is no typo of sap.com
+        if (dnsChecker && levenshtein(domain, company) <= 2 && await dnsChecker(domain) === 'none') {
+            return result(false, 'typo_domain', { suggestion: `${local}@${company}`, dns: 'none' });
+        }
+        return result(false, 'domain_mismatch');
+    }
+
+    const dnsResult = dnsChecker ? await dnsChecker(domain) : null;
+    if (dnsResult === 'none') return result(false, 'no_dns', { dns: dnsResult });
+    return result(true, 'ok', { dns: dnsResult });
+}
+
+/** True for a dialable, non-fax number; see phones.js for country inference and classification */
+function isValidPhone(phone, opts = {}) {
+    return parsePhone(phone, opts).valid;
 }
 
 function sanitizeName(name) {
@@ -30,14 +140,4 @@ function sanitizeName(name) {
     return s;
 }
 
-function dedupeByEmail(contacts) {
-    const map = new Map();
-    for (const c of contacts) {
-        if (!c.email) continue;
-        const key = c.email.toLowerCase();
-        if (!map.has(key)) map.set(key, c);
-    }
-    return Array.from(map.values());
-}
-
-module.exports = { isValidEmail, isValidPhone, sanitizeName, dedupeByEmail };
+module.exports = { isValidEmail, validateEmail, createDnsChecker, isValidPhone, sanitizeName };
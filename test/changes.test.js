@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { contactIdentity, diffContacts, ContactSnapshots } = require('../src/changes');
+
+const MAX = { company: 'Acme Digital GmbH', firstName: 'Max', lastName: 'Müller', email: 'max.mueller@acme-digital.de', phone: '+498912345610', jobTitle: 'Head of IT', linkedInUrl: null, source: 'website' };
+const SABINE = { company: 'Acme Digital GmbH', firstName: 'Sabine', lastName: 'Schmidt', email: 'sabine.schmidt@acme-digital.de', phone: null, jobTitle: 'HR Director', linkedInUrl: null, source: 'website' };
+const OFFICE = { company: 'Acme Digital GmbH', firstName: null, lastName: null, email: null, phone: '+49 89 1234567-0', jobTitle: null, linkedInUrl: null, source: 'impressum' };
+
+/** Key-Value-Store stand-in that keeps JSON copies in memory, like the real store */
+function memoryStore() {
+    const records = {};
+    return {
+        records,
+        getValue: async key => (key in records ? JSON.parse(records[key]) : null),
+        setValue: async (key, value) => { records[key] = JSON.stringify(value); }
+    };
+}
+
+test('contactIdentity: name regardless of umlaut spelling, otherwise profile, email or phone', () => {
+    assert.equal(contactIdentity(MAX), contactIdentity({ firstName: 'max', lastName: 'Mueller', email: 'm@other.de' }));
+    assert.equal(contactIdentity({ linkedInUrl: 'https://www.linkedin.com/in/max/?trk=x' }), 'profile:https://www.linkedin.com/in/max');
+    assert.equal(contactIdentity({ email: 'Info@Acme.de' }), 'email:info@acme.de');
+    assert.equal(contactIdentity(OFFICE), 'phone:+498912345670');
+    assert.equal(contactIdentity({}), null);
+});
+
+test('diffContacts: every contact is new on the first run', () => {
+    const { contacts, gone, counts } = diffContacts(null, [MAX, OFFICE]);
+    assert.deepEqual(contacts.map(c => c.change), ['new', 'new']);
+    assert.deepEqual(gone, []);
+    assert.deepEqual(counts, { new: 2, changed: 0, unchanged: 0, gone: 0 });
+});
+
+test('diffContacts: changed title or email, unchanged, gone; a value not found again is no change', () => {
+    const previous = diffContacts(null, [MAX, SABINE, OFFICE]).snapshot;
+    const promoted = { ...MAX, jobTitle: 'CTO', email: null };
+    const { contacts, gone, snapshot, counts } = diffContacts(previous, [promoted, { ...OFFICE, jobTitle: null }]);
+    assert.deepEqual(contacts.map(c => c.change), ['changed', 'unchanged']);
+    assert.deepEqual(contacts[0].changes, { jobTitle: { previous: 'Head of IT', current: 'CTO' } });
+    assert.equal(contacts[1].changes, null);
+    assert.deepEqual(gone.map(c => [c.firstName, c.change]), [['Sabine', 'gone']]);
+    assert.deepEqual(counts, { new: 0, changed: 1, unchanged: 1, gone: 1 });
+    // the email not found this time stays in the snapshot, Sabine is dropped from it
+    assert.deepEqual(snapshot.map(c => [c.firstName, c.jobTitle, c.email]), [['Max', 'CTO', 'max.mueller@acme-digital.de'], [null, null, null]]);
+
+    const moved = diffContacts(previous, [{ ...MAX, email: 'max@acme-digital.de' }, SABINE, OFFICE]).contacts[0];
+    assert.deepEqual([moved.change, moved.changes], ['changed', { email: { previous: 'max.mueller@acme-digital.de', current: 'max@acme-digital.de' } }]);
+    assert.equal(diffContacts(previous, [{ ...MAX, jobTitle: 'head of  IT' }]).contacts[0].change, 'unchanged');
+});
+
+test('diffContacts: after an incomplete company missing contacts are kept instead of gone', () => {
+    const previous = diffContacts(null, [MAX, SABINE]).snapshot;
+    const { gone, snapshot, counts } = diffContacts(previous, [MAX], { complete: false });
+    assert.deepEqual(gone, []);
+    assert.equal(counts.gone, 0);
+    assert.deepEqual(snapshot.map(c => c.firstName), ['Max', 'Sabine']);
+});
+
+test('diffContacts: only contacts within the limit are saved and counted; below the cut nobody is gone or recorded', () => {
+    const previous = diffContacts(null, [MAX, SABINE, OFFICE], { limit: 1 });
+    assert.deepEqual(previous.contacts.map(c => [c.firstName, c.change]), [['Max', 'new']]);
+    assert.deepEqual(previous.counts, { new: 1, changed: 0, unchanged: 0, gone: 0 });
+    assert.deepEqual(previous.snapshot.map(c => c.firstName), ['Max']);
+
+    // Sabine was never delivered: she is new once she makes the cut; Max below the cut is not gone
+    const later = diffContacts(previous.snapshot, [SABINE, { ...MAX, jobTitle: 'CTO' }], { limit: 1 });
+    assert.deepEqual(later.contacts.map(c => [c.firstName, c.change]), [['Sabine', 'new']]);
+    assert.deepEqual(later.gone, []);
+    assert.deepEqual(later.counts, { new: 1, changed: 0, unchanged: 0, gone: 0 });
+    // Max keeps the title that was delivered, so the change is reported when he is delivered again
+    assert.deepEqual(later.snapshot.map(c => [c.firstName, c.jobTitle]), [['Sabine', 'HR Director'], ['Max', 'Head of IT']]);
+    assert.equal(diffContacts(later.snapshot, [{ ...MAX, jobTitle: 'CTO' }, SABINE]).contacts[0].change, 'changed');
+});
+
+test('ContactSnapshots: the previous run is the base, also for a restarted run', async () => {
+    const store = memoryStore();
+    const first = new ContactSnapshots(store, { runId: 'run-1' });
+    assert.equal(await first.previous('company-1'), null);
+    await first.save('company-1', [MAX]);
+
+    const second = new ContactSnapshots(store, { runId: 'run-2' });
+    assert.equal((await second.previous('company-1')).runId, 'run-1');
+    await second.save('company-1', [SABINE]);
+    // run-2 restarted: still compares against run-1, not against what it wrote itself
+    const base = await second.previous('company-1');
+    assert.deepEqual([base.runId, base.contacts.map(c => c.firstName)], ['run-1', ['Max']]);
+    await second.save('company-1', [SABINE]);
+    assert.equal((await second.previous('company-1')).runId, 'run-1');
+    assert.equal((await new ContactSnapshots(store, { runId: 'run-3' }).previous('company-1')).runId, 'run-2');
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CompanyCheckpoints, checkpointKey } = require('../src/checkpoints');
+
+const ENTRY = { name: 'Acme Digital GmbH', website: 'https://acme-digital.de', region: 'DE' };
+
+/** Key-Value-Store stand-in that keeps JSON copies in memory, like the real store */
+function memoryStore() {
+    const records = {};
+    return {
+        records,
+        getValue: async key => (key in records ? JSON.parse(records[key]) : null),
+        setValue: async (key, value) => { records[key] = JSON.stringify(value); }
+    };
+}
+
+async function finishedCheckpoint(store, runId, scrapedAt) {
+    const checkpoints = new CompanyCheckpoints(store, { runId });
+    const state = await checkpoints.load(ENTRY, new Date(scrapedAt));
+    Object.assign(state, {
+        status: 'done',
+        scrapedAt,
+        baseUrl: 'https://acme-digital.de',
+        sourcesTried: ['website', 'impressum'],
+        candidates: [{ firstName: 'Max', lastName: 'Mustermann', source: 'website' }],
+        results: [{ firstName: 'Max' }],
+        pushed: 1
+    });
+    await checkpoints.save(state);
+}
+
+test('checkpointKey: stable per name, website and region; valid store key', () => {
+    assert.equal(checkpointKey(ENTRY), checkpointKey({ ...ENTRY, name: 'ACME DIGITAL GMBH' }));
+    assert.notEqual(checkpointKey(ENTRY), checkpointKey({ ...ENTRY, region: 'AT' }));
+    assert.match(checkpointKey(ENTRY), /^company-[0-9a-f]{16}$/);
+});
+
+test('load: new state without checkpoint, stored state of the same run as it is', async () => {
+    const store = memoryStore();
+    const fresh = await new CompanyCheckpoints(store, { runId: 'run-1' }).load(ENTRY);
+    assert.deepEqual([fresh.status, fresh.resumed, fresh.sourcesTried, fresh.baseUrl], ['running', null, [], undefined]);
+
+    await finishedCheckpoint(store, 'run-1', '2026-03-02T10:00:00.000Z');
+    // a restarted run resumes its own checkpoints regardless of age or forceRefresh
+    const same = await new CompanyCheckpoints(store, { runId: 'run-1', forceRefresh: true, cacheTtlDays: 0 }).load(ENTRY, new Date('2026-05-01'));
+    assert.deepEqual([same.status, same.resumed, same.pushed], ['done', 'run', 1]);
+    assert.ok(same.updatedAt);
+    assert.equal('resumed' in JSON.parse(store.records[checkpointKey(ENTRY)]), false);
+});
+
+test('load: candidates of an earlier run are reused within cacheTtlDays, results are recomputed', async () => {
+    const store = memoryStore();
+    await finishedCheckpoint(store, 'run-1', '2026-03-02T10:00:00.000Z');
+
+    const cached = await new CompanyCheckpoints(store, { runId: 'run-2', cacheTtlDays: 7 }).load(ENTRY, new Date('2026-03-08T10:00:00Z'));
+    assert.deepEqual(
+        [cached.resumed, cached.runId, cached.status, cached.sourcesTried, cached.candidates.length, cached.results, cached.pushed, cached.baseUrl],
+        ['cache', 'run-2', 'running', ['website', 'impressum'], 1, [], 0, 'https://acme-digital.de']
+    );
+
+    const expired = await new CompanyCheckpoints(store, { runId: 'run-2', cacheTtlDays: 7 }).load(ENTRY, new Date('2026-03-10T10:00:00Z'));
+    assert.deepEqual([expired.resumed, expired.sourcesTried], [null, []]);
+    const forced = await new CompanyCheckpoints(store, { runId: 'run-2', forceRefresh: true }).load(ENTRY, new Date('2026-03-02T11:00:00Z'));
+    assert.equal(forced.resumed, null);
+    const noCache = await new CompanyCheckpoints(store, { runId: 'run-2', cacheTtlDays: 0 }).load(ENTRY, new Date('2026-03-02T11:00:00Z'));
+    assert.equal(noCache.resumed, null);
+});
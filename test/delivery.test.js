@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { WebhookDelivery, WebhookDeliveryError, signPayload, verifySignature, HEADERS } = require('../src/delivery');
+
+/** fetch stand-in answering with the given statuses in turn; `requests` keeps what was sent */
+function fakeFetch(...statuses) {
+    const requests = [];
+    const fetchImpl = async (url, init) => {
+        requests.push({ url, ...init });
+        const status = statuses[Math.min(requests.length, statuses.length) - 1];
+        if (status instanceof Error) throw status;
+        return { ok: status >= 200 && status < 300, status };
+    };
+    return { requests, fetchImpl };
+}
+
+test('signPayload/verifySignature: HMAC-SHA256 over timestamp and body', () => {
+    const signature = signPayload('s3cret', '1767225600', '{"a":1}');
+    assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+    assert.equal(verifySignature('s3cret', '1767225600', '{"a":1}', signature), true);
+    assert.equal(verifySignature('s3cret', '1767225601', '{"a":1}', signature), false);
+    assert.equal(verifySignature('other', '1767225600', '{"a":1}', signature), false);
+    assert.equal(verifySignature('s3cret', '1767225600', '{"a":1}', undefined), false);
+});
+
+test('WebhookDelivery: signed JSON POST to a real endpoint', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            received.push({ method: req.method, headers: req.headers, body });
+            res.writeHead(204).end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const webhook = new WebhookDelivery({ url: `http://127.0.0.1:${server.address().port}/hook`, secret: 's3cret' });
+        assert.deepEqual(await webhook.deliver('company.finished', 'run-1-company-1', { company: 'Acme' }), { status: 204, attempts: 1 });
+        const [{ method, headers, body }] = received;
+        assert.equal(method, 'POST');
+        assert.deepEqual(JSON.parse(body), { event: 'company.finished', deliveryId: 'run-1-company-1', company: 'Acme' });
+        assert.equal(headers[HEADERS.event.toLowerCase()], 'company.finished');
+        assert.equal(headers[HEADERS.id.toLowerCase()], 'run-1-company-1');
+        assert.equal(verifySignature('s3cret', headers[HEADERS.timestamp.toLowerCase()], body, headers[HEADERS.signature.toLowerCase()]), true);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('WebhookDelivery: retries network errors, 429 and 5xx with the same delivery ID', async () => {
+    const { requests, fetchImpl } = fakeFetch(new Error('ECONNRESET'), 503, 429, 200);
+    const webhook = new WebhookDelivery({ url: 'https://crm.example.com/hook', retries: 3, minRetryDelayMs: 1, fetchImpl });
+    assert.deepEqual(await webhook.deliver('company.finished', 'd-1', {}), { status: 200, attempts: 4 });
+    assert.equal(requests.length, 4);
+    assert.ok(requests.every(r => r.headers[HEADERS.id] === 'd-1'));
+    // without a secret nothing is signed
+    assert.equal(requests[0].headers[HEADERS.signature], undefined);
+});
+
+test('WebhookDelivery: gives up after the retries, other 4xx are not retried', async () => {
+    const failing = fakeFetch(500);
+    const webhook = new WebhookDelivery({ url: 'https://crm.example.com/hook', retries: 2, minRetryDelayMs: 1, fetchImpl: failing.fetchImpl });
+    await assert.rejects(webhook.deliver('company.finished', 'd-1', {}), (err) => {
+        assert.ok(err instanceof WebhookDeliveryError);
+        assert.deepEqual([err.reason, err.status, err.attempts], ['http_500', 500, 3]);
+        return true;
+    });
+
+    const rejected = fakeFetch(401);
+    const strict = new WebhookDelivery({ url: 'https://crm.example.com/hook', retries: 2, minRetryDelayMs: 1, fetchImpl: rejected.fetchImpl });
+    await assert.rejects(strict.deliver('company.finished', 'd-2', {}), { name: 'WebhookDeliveryError', reason: 'http_401' });
+    assert.equal(rejected.requests.length, 1);
+});
+
+test('WebhookDelivery: only http(s) URLs', () => {
+    assert.throws(() => new WebhookDelivery({ url: 'ftp://crm.example.com/hook' }), /Invalid webhookUrl/);
+    assert.throws(() => new WebhookDelivery({ url: 'not a url' }), /Invalid webhookUrl/);
+});
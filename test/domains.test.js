@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DomainResolver, stripLegalSuffix, candidateHosts } = require('../src/domains');
+const { Politeness } = require('../src/politeness');
+
+/** Browser stand-in: hosts in `sites` answer with a page titled by the company, all others fail */
+function fakeBrowser(sites) {
+    const browser = { contexts: 0, visited: [] };
+    browser.newContext = async () => {
+        browser.contexts += 1;
+        let current = null;
+        const page = {
+            goto: async (url) => {
+                browser.visited.push(url);
+                const host = new URL(url).hostname;
+                if (!sites[host]) throw new Error(`net::ERR_NAME_NOT_RESOLVED at ${url}`);
+                current = url;
+                return { status: () => 200, headers: () => ({}) };
+            },
+            url: () => current,
+            title: async () => sites[new URL(current).hostname],
+            textContent: async () => '',
+            close: async () => {}
+        };
+        return { newPage: async () => page, close: async () => {} };
+    };
+    return browser;
+}
+
+const politeness = () => new Politeness({ minDelayMs: 0, respectRobotsTxt: false });
+
+test('stripLegalSuffix: legal forms at the end, compound forms as a whole', () => {
+    assert.equal(stripLegalSuffix('Acme Digital GmbH'), 'Acme Digital');
+    assert.equal(stripLegalSuffix('Müller & Söhne GmbH & Co. KG'), 'Müller & Söhne');
+    assert.equal(stripLegalSuffix('SAP SE'), 'SAP');
+    assert.equal(stripLegalSuffix('Foo Holding AG'), 'Foo Holding');
+    // only a trailing legal form is removed, and a name that is nothing else stays
+    assert.equal(stripLegalSuffix('Acme Digital GmbH (Berlin)'), 'Acme Digital GmbH (Berlin)');
+    assert.equal(stripLegalSuffix('GmbH'), 'GmbH');
+    assert.equal(stripLegalSuffix(null), '');
+});
+
+test('candidateHosts: joined, hyphenated and single-word labels, region TLDs first', () => {
+    assert.deepEqual(candidateHosts('Müller & Söhne GmbH & Co. KG', 'DE'), [
+        'muellersoehne.de', 'muellersoehne.com', 'muellersoehne.eu',
+        'mueller-soehne.de', 'mueller-soehne.com', 'mueller-soehne.eu',
+        'mueller.de', 'mueller.com', 'mueller.eu',
+        'soehne.de', 'soehne.com', 'soehne.eu'
+    ]);
+    assert.deepEqual(candidateHosts('Acme GmbH', 'Schweiz'), ['acme.ch', 'acme.com', 'acme.de', 'acme.eu']);
+    assert.deepEqual(candidateHosts('Acme GmbH', 'DACH'), ['acme.de', 'acme.at', 'acme.ch', 'acme.com', 'acme.eu']);
+    assert.deepEqual(candidateHosts('Acme GmbH', ''), ['acme.com', 'acme.de', 'acme.eu']);
+    assert.deepEqual(candidateHosts('', 'DE'), []);
+});
+
+test('DomainResolver: a given website wins, also for companies with the same name', async () => {
+    const browser = fakeBrowser({});
+    const resolver = new DomainResolver({ politeness: politeness() });
+    assert.equal(await resolver.resolve(browser, 'SAP', { website: 'sap.com/germany' }), 'https://sap.com/germany');
+    assert.equal(await resolver.resolve(browser, 'SAP', { website: 'https://www.sap.com/austria/' }), 'https://www.sap.com/austria');
+    assert.equal(browser.contexts, 0);
+});
+
+test('DomainResolver: guessed domains are cached per name and region', async () => {
+    const browser = fakeBrowser({ 'acme.de': 'Acme GmbH – Startseite', 'acme.at': 'Acme GmbH Österreich' });
+    const resolver = new DomainResolver({ politeness: politeness() });
+    assert.equal(await resolver.resolve(browser, 'Acme GmbH', { region: 'Germany' }), 'https://acme.de');
+    assert.equal(await resolver.resolve(browser, 'Acme AG', { region: 'germany' }), 'https://acme.de');
+    assert.equal(browser.contexts, 1);
+    assert.equal(await resolver.resolve(browser, 'Acme GmbH', { region: 'AT' }), 'https://acme.at');
+    assert.equal(browser.contexts, 2);
+    // an invalid website falls back to the guess
+    assert.equal(await resolver.resolve(browser, 'Acme GmbH', { website: 'http://', region: 'AT' }), 'https://acme.at');
+    assert.equal(await new DomainResolver({ politeness: politeness() }).resolve(fakeBrowser({}), 'Nowhere GmbH'), null);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { learnPattern, synthesizeEmail, applyInferredEmails, normalizeNamePart } = require('../src/emailPatterns');
+
+test('normalizeNamePart: umlauts transliterated, spaces and other characters dropped', () => {
+    assert.equal(normalizeNamePart('Jürgen'), 'juergen');
+    assert.equal(normalizeNamePart('von Ahlen'), 'vonahlen');
+    assert.equal(normalizeNamePart('Krüger-Weiß'), 'krueger-weiss');
+    assert.equal(normalizeNamePart('  '), null);
+});
+
+test('learnPattern: named addresses outweigh shapes, other domains and inferred addresses are ignored', () => {
+    const learned = learnPattern([
+        { firstName: 'Max', lastName: 'Mustermann', email: 'm.mustermann@acme.de' },
+        { firstName: 'Erika', lastName: 'Musterfrau', email: 'e.musterfrau@acme.de' },
+        { email: 'jonas.becker@acme.de' },
+        { email: 'info@acme.de' },
+        { firstName: 'Sabine', lastName: 'Krüger', email: 'sabine.krueger@other.de' },
+        { firstName: 'Tom', lastName: 'Weiß', email: 'tom.weiss@acme.de', emailSource: 'inferred' }
+    ], 'acme.de');
+    assert.deepEqual(learned, { pattern: 'f.last', confidence: 0.67, observations: 3 });
+    assert.equal(learnPattern([{ email: 'info@acme.de' }], 'acme.de'), null);
+    assert.equal(learnPattern([{ firstName: 'Max', lastName: 'Mustermann', email: 'mmustermann@acme.de' }], 'acme.de').pattern, 'flast');
+});
+
+test('synthesizeEmail: every pattern, transliterated, null without full name or domain', () => {
+    assert.equal(synthesizeEmail('Jürgen', 'Weiß', 'acme.de'), 'juergen.weiss@acme.de');
+    assert.equal(synthesizeEmail('Jürgen', 'Weiß', 'acme.de', 'f.last'), 'j.weiss@acme.de');
+    assert.equal(synthesizeEmail('Jürgen', 'Weiß', 'acme.de', 'lastf'), 'weissj@acme.de');
+    assert.equal(synthesizeEmail('Anna', 'von Ahlen', 'acme.de', 'first_last'), 'anna_vonahlen@acme.de');
+    assert.equal(synthesizeEmail('Jürgen', null, 'acme.de'), null);
+    assert.equal(synthesizeEmail('Jürgen', 'Weiß', null), null);
+    assert.equal(synthesizeEmail('Jürgen', 'Weiß', 'acme.de', 'unknown'), null);
+});
+
+test('applyInferredEmails: learned pattern on the company domain, scraped addresses tagged', () => {
+    const candidates = [
+        { firstName: 'Max', lastName: 'Mustermann', email: 'm.mustermann@acme.de' },
+        { firstName: 'Erika', lastName: 'Musterfrau', email: null }
+    ];
+    applyInferredEmails(candidates, 'acme.de');
+    assert.deepEqual([candidates[0].emailSource, candidates[0].emailConfidence], ['scraped', 1]);
+    assert.deepEqual([candidates[1].email, candidates[1].emailSource, candidates[1].emailPattern], ['e.musterfrau@acme.de', 'inferred', 'f.last']);
+
+    const unknown = [{ firstName: 'Erika', lastName: 'Musterfrau' }];
+    applyInferredEmails(unknown, 'acme.de');
+    assert.deepEqual([unknown[0].email, unknown[0].emailConfidence], ['erika.musterfrau@acme.de', 0.25]);
+});
+
+test('applyInferredEmails: nothing is inferred without a company domain or on a mail provider', () => {
+    const withoutDomain = [
+        { firstName: 'Max', lastName: 'Mustermann', email: 'max.mustermann@gmail.com' },
+        { firstName: 'Erika', lastName: 'Musterfrau', email: null }
+    ];
+    applyInferredEmails(withoutDomain, null);
+    assert.equal(withoutDomain[1].email, null);
+    assert.equal(withoutDomain[0].emailSource, 'scraped');
+
+    const onFreemail = [{ firstName: 'Erika', lastName: 'Musterfrau', email: null }];
+    applyInferredEmails(onFreemail, 'GMX.de');
+    assert.equal(onFreemail[0].email, null);
+});
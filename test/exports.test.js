@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveColumns, toCsv, toHubSpotCsv, toSalesforceCsv, toVCard, writeExports, EXPORT_KEYS } = require('../src/exports');
+
+const MAX = {
+    company: 'Acme Digital GmbH',
+    location: 'München',
+    salutation: 'Herr',
+    academicTitle: 'Dr.',
+    firstName: 'Max',
+    lastName: 'Mustermann',
+    email: 'max.mustermann@acme-digital.de',
+    emailSource: 'scraped',
+    phone: '+498912345610',
+    phoneType: 'landline',
+    jobTitle: 'CTO; Geschäftsführer',
+    linkedInUrl: 'https://www.linkedin.com/in/max-mustermann',
+    source: 'linkedin',
+    sources: ['linkedin', 'website'],
+    confidence: 0.94,
+    score: 0.918,
+    scrapedAt: '2026-03-02T10:30:00.000Z'
+};
+
+const JONAS = {
+    company: 'Acme Digital GmbH',
+    salutation: null,
+    academicTitle: null,
+    firstName: 'Jonas',
+    lastName: 'Becker',
+    email: null,
+    phone: '+4915112345678',
+    phoneType: 'mobile',
+    jobTitle: 'Head of IT',
+    linkedInUrl: 'https://www.xing.com/profile/Jonas_Becker',
+    source: 'xing',
+    sources: ['xing']
+};
+
+const OFFICE = { company: 'Acme Digital GmbH', firstName: null, lastName: null, email: null, phone: '+498912345670', source: 'website', sources: ['website'] };
+
+/** Rows of a CSV without byte order mark and final line break */
+function lines(csv) {
+    return csv.replace(/^\uFEFF/, '').replace(/\r\n$/, '').split('\r\n');
+}
+
+test('resolveColumns: defaults per language, field names or { field, header }, unknown fields rejected', () => {
+    assert.equal(resolveColumns(null, 'de')[0].header, 'Firma');
+    assert.equal(resolveColumns(null, 'en')[0].header, 'Company');
+    assert.deepEqual(resolveColumns(['email', { field: 'company', header: 'Account' }], 'en'), [
+        { field: 'email', header: 'Email' },
+        { field: 'company', header: 'Account' }
+    ]);
+    assert.throws(() => resolveColumns(['email', 'shoeSize']), /unknown field "shoeSize"/);
+    assert.throws(() => resolveColumns([]), /non-empty array/);
+});
+
+test('toCsv: German headers with semicolons and decimal comma, English with commas, quoting', () => {
+    const de = toCsv([MAX], { columns: ['firstName', 'jobTitle', 'sources', 'score'] });
+    assert.ok(de.startsWith('\uFEFF'));
+    assert.deepEqual(lines(de), ['Vorname;Position;Quellen;Score', 'Max;"CTO; Geschäftsführer";LinkedIn, Website;0,918']);
+
+    const en = toCsv([MAX, OFFICE], { columns: ['company', 'lastName', 'jobTitle', 'score'], language: 'en' });
+    assert.deepEqual(lines(en), [
+        'Company,Last name,Job title,Score',
+        'Acme Digital GmbH,Mustermann,CTO; Geschäftsführer,0.918',
+        'Acme Digital GmbH,,,'
+    ]);
+    assert.deepEqual(lines(toCsv([{ jobTitle: 'Leiter "IT"' }], { columns: ['jobTitle'], language: 'en' }))[1], '"Leiter ""IT"""');
+});
+
+test('CSV exports: cells that would run as spreadsheet formulas are neutralised, E.164 phones are not', () => {
+    const evil = { ...OFFICE, company: '=HYPERLINK("https://evil.example","Acme")', jobTitle: '@SUM(A1)', location: '-2+3', lastName: '+Mustermann' };
+    const [, row] = lines(toCsv([evil], { columns: ['company', 'jobTitle', 'location', 'lastName', 'phone'], language: 'en' }));
+    assert.equal(row, `"'=HYPERLINK(""https://evil.example"",""Acme"")",'@SUM(A1),'-2+3,'+Mustermann,+498912345670`);
+    assert.match(lines(toHubSpotCsv([evil]))[1], /^,,'\+Mustermann,/);
+    assert.match(lines(toSalesforceCsv([evil]))[1], /,'@SUM\(A1\),/);
+});
+
+test('toHubSpotCsv: HubSpot property labels, mobile numbers and LinkedIn only', () => {
+    const [header, max, jonas] = lines(toHubSpotCsv([MAX, JONAS]));
+    assert.equal(header, 'Salutation,First Name,Last Name,Email,Phone Number,Mobile Phone Number,Job Title,Company Name,City,LinkedIn URL,Lead Source');
+    assert.equal(max, 'Herr Dr.,Max,Mustermann,max.mustermann@acme-digital.de,+498912345610,,CTO; Geschäftsführer,Acme Digital GmbH,München,https://www.linkedin.com/in/max-mustermann,LinkedIn');
+    // a XING profile is no LinkedIn URL
+    assert.equal(jonas, ',Jonas,Becker,,,+4915112345678,Head of IT,Acme Digital GmbH,,,XING');
+});
+
+test('toSalesforceCsv: account, lead source, salutation picklist and profiles in the description', () => {
+    const [header, max, jonas, office] = lines(toSalesforceCsv([MAX, JONAS, OFFICE]));
+    assert.equal(header, 'Salutation,First Name,Last Name,Title,Email,Phone,Mobile,Account Name,Mailing City,Lead Source,Description');
+    assert.equal(max, 'Dr.,Max,Mustermann,CTO; Geschäftsführer,max.mustermann@acme-digital.de,+498912345610,,Acme Digital GmbH,München,LinkedIn,LinkedIn: https://www.linkedin.com/in/max-mustermann');
+    assert.equal(jonas, ',Jonas,Becker,Head of IT,,,+4915112345678,Acme Digital GmbH,,XING,XING: https://www.xing.com/profile/Jonas_Becker');
+    // Last Name is required by Salesforce
+    assert.equal(office, ',,Acme Digital GmbH,,,+498912345670,,Acme Digital GmbH,,Website,');
+});
+
+test('toVCard: vCard 4.0 with name parts, escaping, phone URI, social profiles and folding', () => {
+    const card = toVCard(MAX);
+    const props = card.replace(/\r\n /g, '').split('\r\n');
+    assert.deepEqual(props.slice(0, 4), ['BEGIN:VCARD', 'VERSION:4.0', 'KIND:individual', 'FN:Dr. Max Mustermann']);
+    assert.ok(props.includes('N:Mustermann;Max;;Dr.;'));
+    assert.ok(props.includes('GENDER:M'));
+    assert.ok(props.includes('TITLE:CTO\\; Geschäftsführer'));
+    assert.ok(props.includes('TEL;VALUE=uri;TYPE="work,voice":tel:+498912345610'));
+    assert.ok(props.includes('X-SOCIALPROFILE;TYPE=linkedin:https://www.linkedin.com/in/max-mustermann'));
+    assert.ok(props.includes('NOTE:Quelle: LinkedIn\\, Website'));
+    assert.ok(props.includes('REV:20260302T103000Z'));
+    assert.ok(card.endsWith('END:VCARD\r\n'));
+
+    const office = toVCard(OFFICE);
+    assert.match(office, /KIND:org\r\nFN:Acme Digital GmbH\r\n/);
+    assert.doesNotMatch(office, /\r\nN:/);
+
+    const folded = toVCard({ ...OFFICE, jobTitle: 'Ä'.repeat(60) });
+    assert.ok(folded.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+    assert.match(folded, /\r\n Ä/);
+});
+
+test('writeExports: requested formats under their keys', async () => {
+    const records = {};
+    const store = { setValue: async (key, value, options) => { records[key] = { value, options }; } };
+    const written = await writeExports(store, [MAX, JONAS], { formats: ['csv', 'vcard'], language: 'en' });
+    assert.deepEqual(written, [EXPORT_KEYS.csv, EXPORT_KEYS.vcard]);
+    assert.match(records['CONTACTS.csv'].value, /^\uFEFFCompany,Salutation,/);
+    assert.equal(records['CONTACTS.vcf'].value.match(/BEGIN:VCARD/g).length, 2);
+    assert.equal(records['CONTACTS.vcf'].options.contentType, 'text/vcard; charset=utf-8');
+});
@@ -0,0 +1,240 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFixtureServer, launchBrowser } = require('./helpers/fixtureServer');
+
+const COMPANY = 'Acme Digital GmbH';
+
+let server;
+let browser;
+let extractors;
+
+before(async () => {
+    server = await startFixtureServer();
+    browser = await launchBrowser();
+    // the extractors need crawlee and Playwright, which only the actor image provides
+    if (browser) extractors = require('../src/extractors');
+});
+
+after(async () => {
+    if (browser) await browser.close();
+    await server.close();
+});
+
+function noBrowser(t) {
+    if (browser) return false;
+    t.skip('Playwright browser not installed');
+    return true;
+}
+
+function pick(contact, fields) {
+    return Object.fromEntries(fields.map(f => [f, contact[f]]));
+}
+
+/** Page paths requested since `start`, without query strings, browser favicon lookups and robots.txt */
+function requestsSince(start) {
+    return server.requests.slice(start).map(r => r.split('?')[0]).filter(r => r !== '/favicon.ico' && r !== '/robots.txt');
+}
+
+/** Politeness layer without delays and with a fixed robots.txt */
+function politeness(robotsTxt = '', options = {}) {
+    const { Politeness } = require('../src/politeness');
+    return new Politeness({ minDelayMs: 0, fetchRobots: async () => robotsTxt, ...options });
+}
+
+test('extractFromWebsite: crawls from the homepage and sitemap to the management page', async (t) => {
+    if (noBrowser(t)) return;
+    const start = server.requests.length;
+    const contacts = await extractors.extractFromWebsite(browser, COMPANY, 'DE', { baseUrl: `${server.url}/acme` });
+
+    // Max from JSON-LD, Sabine from her linked vCard, info@ from a mailto link
+    const fields = ['salutation', 'firstName', 'lastName', 'email', 'phone', 'jobTitle', 'location', 'source'];
+    assert.deepEqual(contacts.map(c => pick(c, fields)), [
+        { salutation: null, firstName: 'Max', lastName: 'Mustermann', email: 'max.mustermann@acme-digital.de', phone: '+49 89 1234567-10', jobTitle: 'CTO', location: 'München', source: 'website' },
+        { salutation: 'Frau', firstName: 'Sabine', lastName: 'Krüger', email: 'sabine.krueger@acme-digital.de', phone: '089 1234567-20', jobTitle: 'Head of HR', location: null, source: 'website' },
+        { salutation: null, firstName: null, lastName: null, email: 'info@acme-digital.de', phone: null, jobTitle: null, location: null, source: 'website' }
+    ]);
+    assert.equal(contacts[0].academicTitle, 'Dr.');
+    assert.ok(contacts.every(c => c.company === COMPANY));
+    // keyword-less and privacy pages are never opened, every page only once
+    assert.deepEqual(requestsSince(start).sort(), [
+        '/acme',
+        '/acme/impressum',
+        '/acme/karriere',
+        '/acme/sitemap.xml',
+        '/acme/ueber-uns',
+        '/acme/ueber-uns/geschaeftsleitung',
+        '/acme/vcard/sabine-krueger.vcf'
+    ]);
+});
+
+test('extractFromWebsite: every call crawls in its own queue, dropped afterwards, also after an error', async (t) => {
+    if (noBrowser(t)) return;
+    const { Configuration } = require('crawlee');
+    const queueCount = async () => (await Configuration.getStorageClient().requestQueues().list()).total;
+    const before = await queueCount();
+
+    // two companies on the same site at once: neither sees the other's pages as already handled
+    const [first, second] = await Promise.all([
+        extractors.extractFromWebsite(browser, COMPANY, 'DE', { baseUrl: `${server.url}/acme` }),
+        extractors.extractFromWebsite(browser, 'Acme Digital Services GmbH', 'DE', { baseUrl: `${server.url}/acme` })
+    ]);
+    assert.equal(first.length, 3);
+    assert.equal(second.length, 3);
+    assert.equal(await queueCount(), before);
+
+    const crashing = {
+        newContext: async () => {
+            const context = await browser.newContext();
+            context.newPage = async () => { throw new Error('browser crashed'); };
+            return context;
+        }
+    };
+    await assert.rejects(extractors.extractFromWebsite(crashing, COMPANY, 'DE', { baseUrl: `${server.url}/acme` }), /browser crashed/);
+    assert.equal(await queueCount(), before);
+});
+
+test('extractFromWebsite: page budget keeps the best-ranked pages', async (t) => {
+    if (noBrowser(t)) return;
+    const start = server.requests.length;
+    const contacts = await extractors.extractFromWebsite(browser, COMPANY, 'DE', { baseUrl: `${server.url}/acme`, pageBudget: 2 });
+
+    assert.equal(contacts.length, 3);
+    assert.deepEqual(requestsSince(start), ['/acme/sitemap.xml', '/acme', '/acme/ueber-uns/geschaeftsleitung', '/acme/vcard/sabine-krueger.vcf']);
+});
+
+test('extractFromWebsite: pages disallowed by robots.txt are not opened and recorded as refused', async (t) => {
+    if (noBrowser(t)) return;
+    const start = server.requests.length;
+    const visits = [];
+    const contacts = await extractors.extractFromWebsite(browser, COMPANY, 'DE', {
+        baseUrl: `${server.url}/acme`,
+        visits,
+        politeness: politeness('User-agent: *\nDisallow: /acme/ueber-uns/\n')
+    });
+
+    assert.ok(!contacts.some(c => c.firstName === 'Max'));
+    assert.ok(!requestsSince(start).includes('/acme/ueber-uns/geschaeftsleitung'));
+    const refused = visits.find(v => v.url === `${server.url}/acme/ueber-uns/geschaeftsleitung`);
+    assert.match(refused.error, /robots\.txt/);
+});
+
+test('extractFromWebsite: no base URL, no requests', async (t) => {
+    if (noBrowser(t)) return;
+    const start = server.requests.length;
+    assert.deepEqual(await extractors.extractFromWebsite(browser, COMPANY, 'DE', {}), []);
+    assert.equal(server.requests.length, start);
+});
+
+test('extractFromImpressum: Geschäftsführer and general contact, stops at the Impressum page', async (t) => {
+    if (noBrowser(t)) return;
+    const start = server.requests.length;
+    const contacts = await extractors.extractFromImpressum(browser, COMPANY, 'DE', { baseUrl: `${server.url}/acme` });
+
+    const fields = ['firstName', 'lastName', 'jobTitle', 'email', 'phone', 'location', 'source'];
+    assert.deepEqual(contacts.map(c => pick(c, fields)), [
+        { firstName: 'Max', lastName: 'Mustermann', jobTitle: 'Geschäftsführer', email: null, phone: '+49 89 1234567-0', location: 'München', source: 'impressum' },
+        { firstName: null, lastName: null, jobTitle: null, email: 'info@acme-digital.de', phone: '+49 89 1234567-0', location: 'München', source: 'impressum' }
+    ]);
+    assert.deepEqual(requestsSince(start), ['/acme/impressum']);
+});
+
+test('extractFromLinkedIn: search results and profile page below the injected platform URL', async (t) => {
+    if (noBrowser(t)) return;
+    const start = server.requests.length;
+    const contacts = await extractors.extractFromLinkedIn(browser, COMPANY, 'DE', { platformUrl: `${server.url}/linkedin` });
+
+    assert.equal(contacts.length, 1);
+    assert.deepEqual(pick(contacts[0], ['firstName', 'lastName', 'email', 'phone', 'jobTitle', 'linkedInUrl', 'source']), {
+        firstName: 'Erika',
+        lastName: 'Musterfrau',
+        email: null,
+        phone: null,
+        jobTitle: 'Head of IT',
+        linkedInUrl: `${server.url}/linkedin/in/erika-musterfrau`,
+        source: 'linkedin'
+    });
+    const searches = server.requests.slice(start).filter(r => r.startsWith('/linkedin/search/results/people/'));
+    assert.equal(searches.length, 1);
+    assert.ok(decodeURIComponent(searches[0]).includes(COMPANY));
+});
+
+test('extractFromLinkedIn: known company page lists its people instead of searching', async (t) => {
+    if (noBrowser(t)) return;
+    const start = server.requests.length;
+    const contacts = await extractors.extractFromLinkedIn(browser, COMPANY, 'DE', {
+        platformUrl: `${server.url}/linkedin`,
+        companyUrl: `${server.url}/linkedin/company/acme-digital/`
+    });
+
+    assert.deepEqual(contacts.map(c => `${c.firstName} ${c.lastName}`), ['Erika Musterfrau']);
+    assert.deepEqual(requestsSince(start), ['/linkedin/company/acme-digital/people/', '/linkedin/in/erika-musterfrau']);
+});
+
+test('extractFromXing: search results and profile page below the injected platform URL', async (t) => {
+    if (noBrowser(t)) return;
+    const start = server.requests.length;
+    const contacts = await extractors.extractFromXing(browser, COMPANY, 'DE', { platformUrl: `${server.url}/xing` });
+
+    assert.equal(contacts.length, 1);
+    assert.deepEqual(pick(contacts[0], ['firstName', 'lastName', 'email', 'phone', 'jobTitle', 'linkedInUrl', 'source']), {
+        firstName: 'Jonas',
+        lastName: 'Becker',
+        email: null,
+        phone: null,
+        jobTitle: 'IT-Leiter',
+        linkedInUrl: `${server.url}/xing/profile/Jonas_Becker`,
+        source: 'xing'
+    });
+    assert.deepEqual(requestsSince(start), ['/xing/search', '/xing/profile/Jonas_Becker']);
+});
+
+test('extractFromLinkedIn: session cookies are sent and each opened profile counts against the budget', async (t) => {
+    if (noBrowser(t)) return;
+    const { openSession } = require('../src/sessions');
+    const start = server.requests.length;
+    const platformUrl = `${server.url}/linkedin`;
+    const session = await openSession('linkedin', { secret: 'li_at=AQEtest', platformUrl, dailyProfileViews: 5 });
+    const contacts = await extractors.extractFromLinkedIn(browser, COMPANY, 'DE', { platformUrl, session });
+
+    assert.equal(contacts.length, 1);
+    assert.ok(server.cookies.slice(start).every(c => c === 'li_at=AQEtest'));
+    assert.equal(session.budget.used, 1);
+});
+
+test('extractFromLinkedIn: login wall on the search page is reported, expired session when cookies were sent', async (t) => {
+    if (noBrowser(t)) return;
+    const { openSession, SourceBlockedError } = require('../src/sessions');
+    const platformUrl = `${server.url}/linkedin-authwall`;
+    await assert.rejects(extractors.extractFromLinkedIn(browser, COMPANY, 'DE', { platformUrl }),
+        err => err instanceof SourceBlockedError && err.source === 'linkedin' && err.reason === 'login_wall');
+
+    const session = await openSession('linkedin', { secret: 'li_at=AQEold', platformUrl });
+    await assert.rejects(extractors.extractFromLinkedIn(browser, COMPANY, 'DE', { platformUrl, session }),
+        err => err instanceof SourceBlockedError && err.reason === 'session_expired');
+});
+
+test('extractFromLinkedIn: the per-domain request cap stops the source', async (t) => {
+    if (noBrowser(t)) return;
+    const { SourceBlockedError } = require('../src/sessions');
+    const start = server.requests.length;
+    await assert.rejects(extractors.extractFromLinkedIn(browser, COMPANY, 'DE', {
+        platformUrl: `${server.url}/linkedin`,
+        politeness: politeness('', { maxRequestsPerDomain: 1 })
+    }), err => err instanceof SourceBlockedError && err.reason === 'domain_cap');
+    assert.deepEqual(requestsSince(start), ['/linkedin/search/results/people/']);
+});
+
+test('extractFromXing: captcha page and exhausted budget stop the source', async (t) => {
+    if (noBrowser(t)) return;
+    const { openSession, SourceBlockedError } = require('../src/sessions');
+    await assert.rejects(extractors.extractFromXing(browser, COMPANY, 'DE', { platformUrl: `${server.url}/xing-captcha` }),
+        err => err instanceof SourceBlockedError && err.reason === 'captcha');
+
+    const start = server.requests.length;
+    const platformUrl = `${server.url}/xing`;
+    const session = await openSession('xing', { platformUrl, dailyProfileViews: 0 });
+    await assert.rejects(extractors.extractFromXing(browser, COMPANY, 'DE', { platformUrl, session }),
+        err => err instanceof SourceBlockedError && err.reason === 'budget_exhausted' && err.candidates.length === 0);
+    // the search page is read, no profile is opened
+    assert.deepEqual(requestsSince(start), ['/xing/search']);
+});
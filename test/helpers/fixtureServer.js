@@ -0,0 +1,78 @@
+/**
+ * Test-Hilfen: Lokaler HTTP-Server für gespeicherte HTML-Seiten unter test/fixtures/sites/
+ * und Browser-Start für die Extractor-Tests (ohne Browser werden die Tests übersprungen, unter CI schlagen sie fehl).
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const SITES_DIR = path.join(__dirname, '..', 'fixtures', 'sites');
+
+const CONTENT_TYPES = { '.html': 'text/html; charset=utf-8', '.xml': 'application/xml; charset=utf-8', '.txt': 'text/plain; charset=utf-8', '.vcf': 'text/vcard; charset=utf-8' };
+
+/**
+ * Maps a request path to a fixture file: "/acme/karriere" -> acme/karriere.html, "/linkedin/search/results/people/" -> …/index.html,
+ * "/acme/sitemap.xml" -> acme/sitemap.xml. Query strings are ignored, so search URLs always get the recorded result page.
+ */
+function fixturePath(urlPath) {
+    const clean = decodeURIComponent(urlPath.split('?')[0]);
+    const candidates = clean.endsWith('/')
+        ? [path.join(SITES_DIR, clean, 'index.html')]
+        : [path.join(SITES_DIR, clean), path.join(SITES_DIR, `${clean}.html`), path.join(SITES_DIR, clean, 'index.html')];
+    // path.join resolves "..", so anything outside the fixture directory is refused
+    return candidates.find(f => f.startsWith(SITES_DIR + path.sep) && fs.existsSync(f) && fs.statSync(f).isFile()) || null;
+}
+
+/**
+ * Starts the fixture server on a free local port.
+ * `{{origin}}` in a fixture is replaced with the server's origin, e.g. for absolute URLs in sitemaps.
+ * @returns {Promise<{ url: string, requests: string[], cookies: (string|null)[], close: () => Promise<void> }>}
+ *   `requests` lists every requested path, `cookies` the Cookie header sent with it
+ */
+function startFixtureServer() {
+    const requests = [];
+    const cookies = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        cookies.push(req.headers.cookie || null);
+        const file = fixturePath(req.url);
+        if (!file) {
+            res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end('<html><head><title>404</title></head><body>Not found</body></html>');
+            return;
+        }
+        const body = fs.readFileSync(file, 'utf8').replace(/\{\{origin\}\}/g, `http://${req.headers.host}`);
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        res.end(body);
+    });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}`,
+                requests,
+                cookies,
+                close: () => new Promise(done => server.close(() => done()))
+            });
+        });
+    });
+}
+
+/**
+ * Headless Chromium from Playwright, or null if Playwright or its browser is not installed.
+ * With `CI` set a missing browser is an error, so the browser tests cannot pass by being skipped.
+ */
+async function launchBrowser() {
+    try {
+        const { chromium } = require('playwright');
+        return await chromium.launch({ headless: true });
+    } catch (e) {
+        if (process.env.CI) throw new Error(`Browser tests need Playwright with Chromium (npx playwright install chromium): ${e.message}`);
+        console.warn(`Skipping browser tests, Playwright could not launch Chromium: ${e.message.split('\n')[0]}`);
+        return null;
+    }
+}
+
+module.exports = { startFixtureServer, launchBrowser, fixturePath };
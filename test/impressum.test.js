@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseImpressum, impressumContacts, parsePersonName } = require('../src/impressum');
+
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', 'impressum', name), 'utf8');
+}
+
+test('GmbH: Geschäftsführer, address, register and labelled contact data', () => {
+    const parsed = parseImpressum(fixture('gmbh.html'));
+
+    assert.deepEqual(parsed.directors, [
+        { salutation: null, academicTitle: 'Dr.', firstName: 'Thomas', lastName: 'Müller', role: 'Geschäftsführer' },
+        { salutation: null, academicTitle: null, firstName: 'Sabine', lastName: 'Krüger-Weiß', role: 'Geschäftsführer' }
+    ]);
+    assert.deepEqual(parsed.address, { street: 'Industriestraße 12a', postalCode: '73760', city: 'Ostfildern', country: 'Deutschland' });
+    assert.deepEqual(parsed.register, { court: 'Amtsgericht Stuttgart', type: 'HRB', number: '734512' });
+    assert.equal(parsed.vatId, 'DE812345678');
+    assert.equal(parsed.phone, '+49 (0) 711 123456-0');
+    assert.equal(parsed.fax, '+49 (0) 711 123456-99');
+    assert.equal(parsed.email, 'info@mueller-soehne.de');
+});
+
+test('AG: multi-line Vorstand list, chair note, Aufsichtsrat excluded, obfuscated email', () => {
+    const parsed = parseImpressum(fixture('ag.html'));
+
+    assert.deepEqual(parsed.directors.map(d => [d.salutation, d.academicTitle, d.firstName, d.lastName, d.role]), [
+        [null, 'Prof. Dr.', 'Jan-Hendrik', 'von Ahlen', 'Vorstandsvorsitzender'],
+        ['Frau', null, 'Katharina', 'Ölsner', 'Vorstand'],
+        [null, null, 'Marco', 'de Luca', 'Vorstand']
+    ]);
+    assert.deepEqual(parsed.address, { street: 'Am Sandtorkai 48', postalCode: '20457', city: 'Hamburg', country: null });
+    assert.deepEqual(parsed.register, { court: 'Amtsgericht Hamburg', type: 'HRB', number: '151204' });
+    assert.equal(parsed.vatId, 'DE298765432');
+    assert.equal(parsed.phone, '040 3344 5500');
+    assert.equal(parsed.fax, '040 3344 5501');
+    assert.equal(parsed.email, 'kontakt@nordlicht-software.de');
+});
+
+test('Austrian GmbH: table layout, Firmenbuch and UID', () => {
+    const parsed = parseImpressum(fixture('gmbh-at.html'));
+
+    assert.deepEqual(parsed.directors.map(d => [d.academicTitle, d.firstName, d.lastName]), [
+        ['Mag.', 'Eva', 'Lindner'],
+        ['DI', 'Peter', 'Gruber']
+    ]);
+    assert.deepEqual(parsed.address, { street: 'Mariahilfer Straße 77/3', postalCode: '1060', city: 'Wien', country: 'Österreich' });
+    assert.deepEqual(parsed.register, { court: 'Handelsgericht Wien', type: 'FN', number: '456789 k' });
+    assert.equal(parsed.vatId, 'ATU12345678');
+    assert.equal(parsed.phone, '+43 1 234 56 78');
+    assert.equal(parsed.email, 'office@alpencloud.at');
+});
+
+test('feminine labels are kept as the role', () => {
+    const parsed = parseImpressum('<p>Berger Consulting GmbH<br>Geschäftsführerin: Dr. Anna Berger<br>Inhaberin: Petra Lang</p>');
+
+    assert.deepEqual(parsed.directors.map(d => [d.academicTitle, d.firstName, d.role]), [
+        ['Dr.', 'Anna', 'Geschäftsführerin'],
+        [null, 'Petra', 'Inhaberin']
+    ]);
+});
+
+test('phone is never taken from fax, register or VAT numbers', () => {
+    for (const name of ['gmbh.html', 'ag.html', 'gmbh-at.html']) {
+        const parsed = parseImpressum(fixture(name));
+        assert.notEqual(parsed.phone, parsed.fax);
+        assert.ok(!parsed.phone.replace(/\D/g, '').includes(parsed.register.number.replace(/\D/g, '')));
+    }
+});
+
+test('impressumContacts: named rows with location plus one general row', () => {
+    const contacts = impressumContacts(parseImpressum(fixture('ag.html')), 'Nordlicht Software AG');
+
+    assert.equal(contacts.length, 4);
+    assert.ok(contacts.every(c => c.location === 'Hamburg' && c.source === 'impressum'));
+    assert.deepEqual(contacts.slice(0, 3).map(c => `${c.firstName} ${c.lastName}`), ['Jan-Hendrik von Ahlen', 'Katharina Ölsner', 'Marco de Luca']);
+    assert.equal(contacts[0].jobTitle, 'Vorstandsvorsitzender');
+    assert.equal(contacts[3].firstName, null);
+    assert.equal(contacts[3].email, 'kontakt@nordlicht-software.de');
+});
+
+test('parsePersonName rejects non-names', () => {
+    assert.equal(parsePersonName('HRB 151204'), null);
+    assert.equal(parsePersonName('Sitz der Gesellschaft'), null);
+    assert.equal(parsePersonName('Muster GmbH'), null);
+    assert.deepEqual(parsePersonName('Herr Dr. Max Mustermann'), { salutation: 'Herr', academicTitle: 'Dr.', firstName: 'Max', lastName: 'Mustermann', note: null });
+});
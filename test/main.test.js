@@ -0,0 +1,333 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFixtureServer, launchBrowser } = require('./helpers/fixtureServer');
+
+let server;
+let browser;
+let run;
+
+before(async () => {
+    server = await startFixtureServer();
+    browser = await launchBrowser();
+    // main.js needs crawlee and Playwright, which only the actor image provides
+    if (browser) ({ run } = require('../src/main'));
+});
+
+after(async () => {
+    if (browser) await browser.close();
+    await server.close();
+});
+
+function noBrowser(t) {
+    if (browser) return false;
+    t.skip('Playwright browser not installed');
+    return true;
+}
+
+/** Dataset stand-in that keeps pushed items in memory */
+function memoryDataset() {
+    const items = [];
+    return { items, pushData: async (item) => { items.push(item); } };
+}
+
+/** Every fixture address lives on acme-digital.de, which has an MX record; everything else does not resolve */
+const dnsResolver = {
+    resolveMx: async (domain) => (domain === 'acme-digital.de' ? [{ exchange: 'mx.acme-digital.de', priority: 10 }] : []),
+    resolve4: async () => []
+};
+
+/** Key-Value-Store stand-in that keeps JSON copies in memory, like the real store */
+function memoryStore() {
+    const records = {};
+    return {
+        records,
+        getValue: async key => (key in records ? JSON.parse(records[key]) : null),
+        setValue: async (key, value) => { records[key] = JSON.stringify(value); }
+    };
+}
+
+function runOffline(input, dataset, overrides = {}) {
+    return run(input, {
+        browser,
+        dataset,
+        reportDataset: memoryDataset(),
+        dnsResolver,
+        keyValueStore: memoryStore(),
+        stateStore: memoryStore(),
+        linkedInUrl: `${server.url}/linkedin`,
+        xingUrl: `${server.url}/xing`,
+        // the fixtures are served from 127.0.0.1 but stand for acme-digital.de
+        companyDomain: 'acme-digital.de',
+        ...overrides
+    });
+}
+
+test('run: all sources merged, validated, scored and pushed to the dataset', async (t) => {
+    if (noBrowser(t)) return;
+    const dataset = memoryDataset();
+    const results = await runOffline({
+        companies: [{ name: 'Acme Digital GmbH', website: `${server.url}/acme` }],
+        region: 'DE',
+        maxContactsPerCompany: 10
+    }, dataset);
+
+    assert.deepEqual(dataset.items, results);
+    assert.deepEqual(results.map(c => [c.firstName, c.lastName]), [
+        ['Erika', 'Musterfrau'],
+        ['Jonas', 'Becker'],
+        ['Sabine', 'Krüger'],
+        ['Max', 'Mustermann'],
+        [null, null]
+    ]);
+    assert.ok(results.every((c, i) => i === 0 || results[i - 1].score >= c.score));
+
+    const [erika, jonas, sabine, max, office] = results;
+    assert.equal(erika.email, 'erika.musterfrau@acme-digital.de');
+    assert.equal(erika.emailSource, 'inferred');
+    assert.equal(erika.linkedInUrl, `${server.url}/linkedin/in/erika-musterfrau`);
+    assert.equal(jonas.email, 'jonas.becker@acme-digital.de');
+    assert.deepEqual(jonas.sources, ['xing']);
+    assert.equal(sabine.phone, '+4989123456720');
+    // website and Impressum describe the same person
+    assert.deepEqual(max.sources, ['website', 'impressum']);
+    assert.equal(max.email, 'max.mustermann@acme-digital.de');
+    assert.equal(max.emailSource, 'scraped');
+    assert.equal(max.location, 'München');
+    assert.deepEqual([max.salutation, max.academicTitle], ['Herr', 'Dr.']);
+    assert.equal(erika.salutation, 'Frau');
+    assert.equal(office.salutation, null);
+    // info@ is a role inbox: the address is dropped, the switchboard number stays
+    assert.equal(office.email, null);
+    assert.equal(office.emailValidation.reason, 'role_inbox');
+    assert.equal(office.phone, '+498912345670');
+
+    assert.ok(browser.isConnected(), 'an injected browser is left open');
+});
+
+test('run: stops after the website once enough strong contacts are found', async (t) => {
+    if (noBrowser(t)) return;
+    const start = server.requests.length;
+    const dataset = memoryDataset();
+    const results = await runOffline({
+        companies: [{ name: 'Acme Digital GmbH', website: `${server.url}/acme` }],
+        region: 'DE',
+        maxContactsPerCompany: 2
+    }, dataset);
+
+    assert.deepEqual(results.map(c => [c.firstName, c.jobTitle, c.source]), [
+        ['Max', 'CTO', 'website'],
+        ['Sabine', 'Head of HR', 'website']
+    ]);
+    assert.equal(dataset.items.length, 2);
+    const requested = server.requests.slice(start);
+    assert.ok(!requested.some(r => r.startsWith('/linkedin') || r.startsWith('/xing')));
+});
+
+test('run: one report row per company and a run summary', async (t) => {
+    if (noBrowser(t)) return;
+    const store = memoryStore();
+    const reportDataset = memoryDataset();
+    await runOffline({
+        companies: [{ name: 'Acme Digital GmbH', website: `${server.url}/acme` }],
+        region: 'DE',
+        maxContactsPerCompany: 2
+    }, memoryDataset(), { keyValueStore: store, reportDataset });
+
+    assert.equal(reportDataset.items.length, 1);
+    const [report] = reportDataset.items;
+    assert.equal(report.status, 'done');
+    assert.equal(report.baseUrl, `${server.url}/acme`);
+    assert.deepEqual(report.extractors.map(e => [e.source, e.outcome, e.reason]), [
+        ['website', 'ok', null],
+        ['linkedin', 'skipped', 'enough_contacts'],
+        ['xing', 'skipped', 'enough_contacts'],
+        ['impressum', 'skipped', 'enough_contacts']
+    ]);
+    assert.ok(report.visits.some(v => v.source === 'website' && v.url.startsWith(`${server.url}/acme`) && v.status === 200));
+    assert.equal(report.candidates.saved, 2);
+    assert.equal(report.discards.over_limit || 0, report.candidates.aboveMinConfidence - 2);
+
+    const summary = JSON.parse(store.records.RUN_SUMMARY);
+    assert.deepEqual(summary.companies, { total: 1, done: 1, failed: 0, withContacts: 1, withoutContacts: 0, noDomain: 0, fromCache: 0 });
+    assert.equal(summary.extractors.website.ok, 1);
+    assert.equal(summary.pages.visited, report.visits.length);
+});
+
+test('run: exports the saved contacts as CSV, vCard and CRM import files', async (t) => {
+    if (noBrowser(t)) return;
+    const store = memoryStore();
+    await runOffline({
+        companies: [{ name: 'Acme Digital GmbH', website: `${server.url}/acme` }],
+        region: 'DE',
+        maxContactsPerCompany: 2,
+        exportLanguage: 'en',
+        csvColumns: ['firstName', 'lastName', { field: 'company', header: 'Account' }]
+    }, memoryDataset(), { keyValueStore: store });
+
+    const file = key => JSON.parse(store.records[key]);
+    assert.equal(file('CONTACTS.csv'), '\uFEFFFirst name,Last name,Account\r\nMax,Mustermann,Acme Digital GmbH\r\nSabine,Krüger,Acme Digital GmbH\r\n');
+    assert.equal(file('CONTACTS.vcf').match(/BEGIN:VCARD/g).length, 2);
+    assert.match(file('HUBSPOT_CONTACTS.csv'), /^Salutation,First Name,/);
+    assert.match(file('SALESFORCE_CONTACTS.csv'), /\r\nMs\.,Sabine,Krüger,Head of HR,/);
+});
+
+test('run: registered sources plug in, the sources input orders them and regions gate them', async (t) => {
+    if (noBrowser(t)) return;
+    const { createSourceRegistry } = require('../src/sources');
+    const sourceRegistry = createSourceRegistry().register({
+        name: 'directory',
+        regions: ['US'],
+        extract: async ctx => [{ firstName: 'Mary', lastName: 'Smith', jobTitle: 'CIO', email: 'mary.smith@acme-digital.de', company: ctx.company }]
+    });
+    const reportDataset = memoryDataset();
+    const results = await runOffline({
+        companies: [{ name: 'Acme Digital Inc', website: `${server.url}/acme`, region: 'US' }],
+        sources: ['directory', 'xing', 'impressum'],
+        maxContactsPerCompany: 10
+    }, memoryDataset(), { sourceRegistry, reportDataset });
+
+    assert.deepEqual(results.map(c => [c.firstName, c.source]), [['Mary', 'directory']]);
+    assert.deepEqual(reportDataset.items[0].extractors.map(e => [e.source, e.outcome, e.reason]), [
+        ['directory', 'ok', null],
+        ['xing', 'skipped', 'region'],
+        ['impressum', 'skipped', 'region']
+    ]);
+});
+
+test('run: a login wall blocks LinkedIn for the rest of the run and is reported per source', async (t) => {
+    if (noBrowser(t)) return;
+    const start = server.requests.length;
+    const store = memoryStore();
+    const results = await runOffline({
+        companies: [
+            { name: 'Acme Digital GmbH', website: `${server.url}/acme` },
+            { name: 'Acme Digital Services GmbH', website: `${server.url}/acme` }
+        ],
+        region: 'DE',
+        maxContactsPerCompany: 10,
+        maxConcurrency: 1
+    }, memoryDataset(), { keyValueStore: store, linkedInUrl: `${server.url}/linkedin-authwall` });
+
+    // the other sources still deliver
+    assert.ok(results.some(c => c.firstName === 'Jonas'));
+    assert.ok(!results.some(c => c.sources.includes('linkedin')));
+    const searches = server.requests.slice(start).filter(r => r.startsWith('/linkedin-authwall'));
+    assert.equal(searches.length, 1);
+
+    const status = JSON.parse(store.records.SOURCE_STATUS);
+    assert.deepEqual(
+        { status: status.linkedin.status, reason: status.linkedin.reason, companies: status.linkedin.companies, authenticated: status.linkedin.authenticated },
+        { status: 'blocked', reason: 'login_wall', companies: 1, authenticated: false }
+    );
+    assert.equal(status.xing.status, 'ok');
+    assert.equal(status.xing.profileViewsToday, 2);
+    assert.equal(status.website.companies, 2);
+});
+
+test('run: a restarted run skips finished companies, a later run reuses fresh results, forceRefresh scrapes again', async (t) => {
+    if (noBrowser(t)) return;
+    const stateStore = memoryStore();
+    const input = { companies: [{ name: 'Acme Digital GmbH', website: `${server.url}/acme` }], region: 'DE', maxContactsPerCompany: 10 };
+    const first = await runOffline(input, memoryDataset(), { stateStore, runId: 'run-1' });
+    assert.equal(first.length, 5);
+
+    const start = server.requests.length;
+    const restarted = memoryDataset();
+    assert.deepEqual(await runOffline(input, restarted, { stateStore, runId: 'run-1' }), []);
+    assert.equal(restarted.items.length, 0);
+
+    // a new run within cacheTtlDays pushes the same contacts without opening a page
+    const later = await runOffline(input, memoryDataset(), { stateStore, runId: 'run-2' });
+    assert.equal(server.requests.length, start);
+    assert.deepEqual(later.map(c => [c.email, c.phone, c.score, c.scrapedAt]), first.map(c => [c.email, c.phone, c.score, c.scrapedAt]));
+
+    const refreshed = await runOffline({ ...input, forceRefresh: true }, memoryDataset(), { stateStore, runId: 'run-3' });
+    assert.ok(server.requests.length > start);
+    assert.equal(refreshed.length, first.length);
+});
+
+test('run: a run interrupted while pushing resumes without duplicates', async (t) => {
+    if (noBrowser(t)) return;
+    const stateStore = memoryStore();
+    const input = { companies: [{ name: 'Acme Digital GmbH', website: `${server.url}/acme` }], region: 'DE', maxContactsPerCompany: 10 };
+    const items = [];
+    const failing = { pushData: async (item) => {
+        if (items.length === 2) throw new Error('connection reset');
+        items.push(item);
+    } };
+    await runOffline(input, failing, { stateStore, runId: 'run-1' });
+    assert.equal(items.length, 2);
+
+    const start = server.requests.length;
+    const resumed = await runOffline(input, { pushData: async (item) => { items.push(item); } }, { stateStore, runId: 'run-1' });
+    assert.equal(server.requests.length, start);
+    assert.equal(resumed.length, 3);
+    assert.deepEqual(items.map(c => c.firstName), ['Erika', 'Jonas', 'Sabine', 'Max', null]);
+});
+
+test('run: each company is posted to the webhook, a later run flags changed and gone contacts', async (t) => {
+    if (noBrowser(t)) return;
+    const stateStore = memoryStore();
+    const posted = [];
+    const webhookFetch = async (url, init) => {
+        posted.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+        return { ok: true, status: 200 };
+    };
+    const input = {
+        companies: [{ name: 'Acme Digital GmbH', website: `${server.url}/acme` }],
+        region: 'DE',
+        maxContactsPerCompany: 10,
+        webhookUrl: 'https://crm.example.com/hook',
+        webhookSecret: 's3cret'
+    };
+    const reportDataset = memoryDataset();
+    const first = await runOffline(input, memoryDataset(), { stateStore, runId: 'run-1', webhookFetch, reportDataset });
+    assert.deepEqual(posted.map(p => p.body.event), ['company.finished', 'run.finished']);
+    assert.equal(posted[0].body.contacts.length, first.length);
+    assert.ok(first.every(c => c.change === 'new'));
+    assert.match(posted[0].headers['X-Webhook-Signature'], /^sha256=/);
+    assert.equal(reportDataset.items[0].delivery.status, 'delivered');
+
+    // the previous run knew Max with another title and a contact that has left since
+    const key = Object.keys(stateStore.records).find(k => k.startsWith('snapshot-'));
+    const snapshot = JSON.parse(stateStore.records[key]);
+    snapshot.contacts.find(c => c.firstName === 'Max').jobTitle = 'Head of IT';
+    snapshot.contacts.push({ company: 'Acme Digital GmbH', firstName: 'Peter', lastName: 'Alt', email: 'peter.alt@acme-digital.de', jobTitle: 'CIO' });
+    stateStore.records[key] = JSON.stringify(snapshot);
+
+    posted.length = 0;
+    const store = memoryStore();
+    const later = await runOffline({ ...input, webhookOnlyChanges: true }, memoryDataset(), { stateStore, runId: 'run-2', webhookFetch, keyValueStore: store });
+    const max = later.find(c => c.firstName === 'Max');
+    assert.equal(max.change, 'changed');
+    assert.equal(max.changes.jobTitle.previous, 'Head of IT');
+    assert.equal(later.filter(c => c.change === 'unchanged').length, later.length - 1);
+    const [delivery] = posted;
+    assert.deepEqual(delivery.body.contacts.map(c => c.firstName), ['Max']);
+    assert.deepEqual(delivery.body.gone.map(c => [c.firstName, c.change]), [['Peter', 'gone']]);
+    assert.deepEqual(delivery.body.changes, { comparedWith: 'run-1', new: 0, changed: 1, unchanged: later.length - 1, gone: 1 });
+    assert.deepEqual(JSON.parse(store.records.CHANGES).companies[0].gone.map(c => c.firstName), ['Peter']);
+});
+
+test('run: only saved contacts are compared and recorded, a contact entering the top maxContactsPerCompany is new', async (t) => {
+    if (noBrowser(t)) return;
+    const stateStore = memoryStore();
+    const input = { companies: [{ name: 'Acme Digital GmbH', website: `${server.url}/acme` }], region: 'DE', maxContactsPerCompany: 1 };
+    const [top] = await runOffline(input, memoryDataset(), { stateStore, runId: 'run-1' });
+    const key = Object.keys(stateStore.records).find(k => k.startsWith('snapshot-'));
+    assert.deepEqual(JSON.parse(stateStore.records[key]).contacts.map(c => c.firstName), [top.firstName]);
+
+    const reportDataset = memoryDataset();
+    const all = await runOffline({ ...input, maxContactsPerCompany: 10 }, memoryDataset(), { stateStore, runId: 'run-2', reportDataset });
+    assert.ok(all.length > 1);
+    // the first run stopped after the website, so the known contact may carry a title from another source now
+    assert.deepEqual(all.map(c => c.change === 'new'), all.map(c => c.firstName !== top.firstName));
+    const { changes } = reportDataset.items[0];
+    assert.deepEqual([changes.new, changes.changed + changes.unchanged, changes.gone], [all.length - 1, 1, 0]);
+
+    // back to one contact: the others drop below the cut but are not gone
+    const again = memoryDataset();
+    await runOffline(input, memoryDataset(), { stateStore, runId: 'run-3', reportDataset: again });
+    assert.deepEqual(again.items[0].changes, { comparedWith: 'run-2', new: 0, changed: 0, unchanged: 1, gone: 0 });
+    assert.equal(JSON.parse(stateStore.records[key]).contacts.length, all.length);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeContacts, namesMatch, nameKey } = require('../src/merge');
+const { createContact } = require('../src/contact');
+
+const contact = (source, fields) => createContact(source, { company: 'Acme Digital GmbH', ...fields });
+
+test('namesMatch: umlaut spellings, initials, middle names and one typo', () => {
+    const key = (firstName, lastName) => nameKey({ firstName, lastName });
+    assert.equal(namesMatch(key('Jürgen', 'Müller'), key('Juergen', 'Mueller')), true);
+    assert.equal(namesMatch(key('Jürgen', 'Müller'), key('Jurgen', 'Muller')), true);
+    assert.equal(namesMatch(key('J.', 'Müller'), key('Jürgen', 'Müller')), true);
+    assert.equal(namesMatch(key('Jürgen Peter', 'Müller'), key('Jürgen', 'Müller')), true);
+    assert.equal(namesMatch(key('Dr. Michael', 'Schneider'), key('Mihael', 'Schneider')), true);
+    assert.equal(namesMatch(key('Max', 'Schmidt'), key('Maria', 'Schmidt')), false);
+    assert.equal(namesMatch(key('Max', 'Schmidt'), key('Max', 'Schmitz')), false);
+});
+
+test('mergeContacts: LinkedIn name and title with the website email become one record', () => {
+    const [max] = mergeContacts([
+        contact('linkedin', { firstName: 'Max', lastName: 'Mustermann', jobTitle: 'CTO', linkedInUrl: 'https://de.linkedin.com/in/max-mustermann/' }),
+        contact('website', { firstName: 'Max', lastName: 'Mustermann', email: 'max.mustermann@acme-digital.de', jobTitle: 'Technischer Leiter' }),
+        contact('xing', { firstName: 'M.', lastName: 'Mustermann', linkedInUrl: 'https://www.linkedin.com/in/max-mustermann' })
+    ]);
+    assert.equal(max.email, 'max.mustermann@acme-digital.de');
+    assert.equal(max.jobTitle, 'Technischer Leiter');
+    assert.deepEqual(max.sources, ['linkedin', 'website', 'xing']);
+    assert.deepEqual([max.fieldSources.email, max.fieldSources.linkedInUrl], ['website', 'linkedin']);
+    assert.equal(max.confidence, 0.98);
+});
+
+test('mergeContacts: an initial does not chain two people with different first names', () => {
+    const merged = mergeContacts([
+        contact('website', { firstName: 'Max', lastName: 'Schmidt', email: 'max.schmidt@acme-digital.de' }),
+        contact('linkedin', { firstName: 'M.', lastName: 'Schmidt', jobTitle: 'CTO' }),
+        contact('website', { firstName: 'Maria', lastName: 'Schmidt', email: 'maria.schmidt@acme-digital.de' })
+    ]);
+    assert.equal(merged.length, 3);
+    assert.deepEqual(merged.map(c => c.email).filter(Boolean).sort(), ['maria.schmidt@acme-digital.de', 'max.schmidt@acme-digital.de']);
+    // the same order with Maria first makes no difference
+    const reversed = mergeContacts([
+        contact('website', { firstName: 'Maria', lastName: 'Schmidt', email: 'maria.schmidt@acme-digital.de' }),
+        contact('linkedin', { firstName: 'M.', lastName: 'Schmidt', jobTitle: 'CTO' }),
+        contact('website', { firstName: 'Max', lastName: 'Schmidt', email: 'max.schmidt@acme-digital.de' })
+    ]);
+    assert.equal(reversed.length, 3);
+});
+
+test('mergeContacts: an unambiguous initial joins; typo matches with different scraped emails do not', () => {
+    const [max] = mergeContacts([
+        contact('website', { firstName: 'Max', lastName: 'Schmidt', email: 'max.schmidt@acme-digital.de' }),
+        contact('linkedin', { firstName: 'M.', lastName: 'Schmidt', jobTitle: 'CTO' })
+    ]);
+    assert.deepEqual([max.firstName, max.jobTitle, max.email], ['Max', 'CTO', 'max.schmidt@acme-digital.de']);
+
+    const twoPeople = mergeContacts([
+        contact('website', { firstName: 'Jan', lastName: 'Becker', email: 'jan.becker@acme-digital.de' }),
+        contact('website', { firstName: 'Jan', lastName: 'Bäcker', email: 'jan.baecker@acme-digital.de' })
+    ]);
+    assert.equal(twoPeople.length, 2);
+});
+
+test('mergeContacts: a shared inbox does not merge different people, a bare number stays alone', () => {
+    const merged = mergeContacts([
+        contact('website', { firstName: 'Erika', lastName: 'Musterfrau', email: 'it@acme-digital.de' }),
+        contact('website', { firstName: 'Jonas', lastName: 'Becker', email: 'it@acme-digital.de' }),
+        contact('impressum', { phone: '+49 89 1234567-0' }),
+        contact('website', { phone: '+49 89 1234567-0' })
+    ]);
+    assert.deepEqual(merged.map(c => c.firstName), ['Erika', 'Jonas', null, null]);
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePhone, findPhonesInText, firstPhoneInText, resolveCountry, regionCountry } = require('../src/phones');
+
+test('parsePhone: E.164, display form and mobile/landline per country', () => {
+    assert.deepEqual(parsePhone('+49 (0) 89 / 123 45-67'), {
+        valid: true, reason: null, raw: '+49 (0) 89 / 123 45-67', e164: '+49891234567', display: '+49 89 123 45-67', type: 'landline', country: 'DE'
+    });
+    assert.equal(parsePhone('0151 1234 5678').type, 'mobile');
+    assert.equal(parsePhone('0664 1234567', { region: 'Österreich' }).e164, '+436641234567');
+    assert.equal(parsePhone('044 123 45 67', { domain: 'acme.ch' }).e164, '+41441234567');
+    assert.equal(parsePhone('tel:0041 44 123 45 67').country, 'CH');
+});
+
+test('parsePhone: dates, postcodes, placeholders and wrong lengths are no phones', () => {
+    assert.equal(parsePhone('01.04.2015').reason, 'not_a_phone');
+    assert.equal(parsePhone('1987 – 2025').reason, 'not_a_phone');
+    assert.equal(parsePhone('80331').reason, 'not_a_phone');
+    assert.equal(parsePhone('+49 1111111111').reason, 'not_a_phone');
+    assert.equal(parsePhone('089 12').reason, 'length');
+    assert.equal(parsePhone(null).reason, 'missing');
+});
+
+test('parsePhone: phone labels with Nr./No. are phones, register, tax and bank labels are not', () => {
+    for (const label of ['Tel.-Nr.: ', 'Telefonnr.: ', 'Telefon-Nr. ', 'Phone no.: ', 'Durchwahl: ', 'Tel. ']) {
+        assert.equal(parsePhone('089 1234567', { label }).valid, true, label);
+    }
+    for (const label of ['HRB-Nr.: ', 'Amtsgericht München HRB ', 'Steuer-Nr.: ', 'Steuernummer: ', 'St.-Nr. ', 'USt-IdNr.: ', 'Kto-Nr. ', 'Kontonummer: ', 'BLZ ', 'Reg.-Nr.: ']) {
+        assert.equal(parsePhone('089 1234567', { label }).reason, 'not_a_phone', label);
+    }
+    assert.deepEqual(['Fax: ', 'Telefax ', 'Fax-Nr.: '].map(label => parsePhone('089 1234568', { label }).type), ['fax', 'fax', 'fax']);
+});
+
+test('findPhonesInText: labels from the text in front of each number', () => {
+    const text = 'Tel.-Nr.: 089 1234567\nFax: 089 1234568\nSteuer-Nr.: 143/123/45678\nPhone no.: +49 89 7654321';
+    assert.deepEqual(findPhonesInText(text).map(p => [p.e164, p.reason]), [
+        ['+49891234567', null],
+        [null, 'fax'],
+        [null, 'not_a_phone'],
+        ['+49897654321', null]
+    ]);
+    assert.equal(firstPhoneInText('Fax 089 1234568, Telefonnr.: 089 1234567'), '089 1234567');
+});
+
+test('regionCountry/resolveCountry: codes, German and English names, TLD, DE by default', () => {
+    assert.equal(regionCountry('at'), 'AT');
+    assert.equal(regionCountry('Schweiz'), 'CH');
+    assert.equal(regionCountry('Mars'), null);
+    assert.equal(resolveCountry({ domain: 'acme.co.uk' }), 'GB');
+    assert.equal(resolveCountry({ region: 'Austria', domain: 'acme.de' }), 'AT');
+    assert.equal(resolveCountry({}), 'DE');
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Politeness, PolitenessError, parseRobotsTxt, robotsAllows } = require('../src/politeness');
+
+const ROBOTS = [
+    'User-agent: Googlebot',
+    'Disallow: /',
+    '',
+    'User-agent: *',
+    'Disallow: /intern/',
+    'Allow: /intern/presse',
+    'Disallow: /*.pdf$',
+    'Disallow: /suche?',
+    'Crawl-delay: 2'
+].join('\n');
+
+/** Playwright response stand-in */
+const response = (status, headers = {}) => ({ status: () => status, headers: () => headers });
+
+test('parseRobotsTxt: the * group, longest match wins, wildcards and Crawl-delay', () => {
+    const robots = parseRobotsTxt(ROBOTS);
+    assert.equal(robots.crawlDelayMs, 2000);
+    assert.equal(robotsAllows(robots, '/team'), true);
+    assert.equal(robotsAllows(robots, '/intern/team'), false);
+    assert.equal(robotsAllows(robots, '/intern/presse/2026'), true);
+    assert.equal(robotsAllows(robots, '/downloads/team.pdf'), false);
+    assert.equal(robotsAllows(robots, '/downloads/team.pdf?v=2'), true);
+    assert.equal(robotsAllows(robots, '/suche?q=cto'), false);
+
+    // a group naming the scraper replaces the * group; a huge Crawl-delay is capped
+    const own = parseRobotsTxt('User-agent: *\nDisallow: /\n\nUser-agent: it-contact-scraper\nUser-agent: other\nDisallow: /privat\nCrawl-delay: 600');
+    assert.equal(robotsAllows(own, '/team'), true);
+    assert.equal(robotsAllows(own, '/privat/x'), false);
+    assert.equal(own.crawlDelayMs, 30000);
+    assert.deepEqual(parseRobotsTxt(''), { rules: [], crawlDelayMs: 0 });
+});
+
+test('Politeness: robots.txt is read once per origin; disallowed URLs throw', async () => {
+    const fetched = [];
+    const politeness = new Politeness({ minDelayMs: 0, fetchRobots: async (url) => { fetched.push(url); return 'User-agent: *\nDisallow: /intern/'; } });
+    await Promise.all([politeness.acquire('https://acme.de/team'), politeness.acquire('https://acme.de/kontakt')]);
+    await assert.rejects(politeness.acquire('https://acme.de/intern/x'), err => err instanceof PolitenessError && err.reason === 'robots_txt');
+    assert.deepEqual(fetched, ['https://acme.de/robots.txt']);
+
+    // unreadable robots.txt or respectRobotsTxt: false -> everything allowed
+    const failing = new Politeness({ minDelayMs: 0, fetchRobots: async () => { throw new Error('ENOTFOUND'); } });
+    await failing.acquire('https://acme.de/intern/x');
+    const ignoring = new Politeness({ minDelayMs: 0, respectRobotsTxt: false, fetchRobots: async () => assert.fail('not read') });
+    await ignoring.acquire('https://acme.de/intern/x');
+});
+
+test('Politeness: concurrent requests to one domain get consecutive slots, other domains are not delayed', async () => {
+    const politeness = new Politeness({ minDelayMs: 60, respectRobotsTxt: false });
+    const start = Date.now();
+    const times = await Promise.all(['https://www.acme.de/a', 'https://karriere.acme.de/b', 'https://acme.de/c', 'https://other.de/']
+        .map(url => politeness.acquire(url).then(() => Date.now() - start)));
+    const [a, b, c, other] = times;
+    assert.ok(a < 40 && other < 40, `first request of each domain goes out at once (${times})`);
+    assert.ok(b >= 55 && c >= 115, `subdomains share the registrable domain's slots (${times})`);
+    assert.equal(politeness.domain('https://acme.de/').requests, 3);
+});
+
+test('Politeness: 429/503 back off exponentially (at least Retry-After), successes recover', () => {
+    const politeness = new Politeness({ minDelayMs: 1000, maxBackoffMs: 5000, respectRobotsTxt: false });
+    const url = 'https://acme.de/team';
+    politeness.report(url, response(429));
+    assert.equal(politeness.domain(url).backoffMs, 2000);
+    politeness.report(url, response(503));
+    assert.equal(politeness.domain(url).backoffMs, 4000);
+    politeness.report(url, response(429, { 'retry-after': '3' }));
+    assert.equal(politeness.domain(url).backoffMs, 5000);
+    assert.ok(politeness.domain(url).nextSlot >= Date.now() + 4900);
+
+    politeness.report(url, response(200));
+    assert.equal(politeness.domain(url).backoffMs, 2500);
+    politeness.report(url, response(200));
+    politeness.report(url, response(200));
+    assert.equal(politeness.domain(url).backoffMs, 0);
+    assert.equal(politeness.domain(url).backoffs, 3);
+});
+
+test('Politeness: per-domain request cap', async () => {
+    const politeness = new Politeness({ minDelayMs: 0, respectRobotsTxt: false, maxRequestsPerDomain: 2 });
+    await politeness.acquire('https://acme.de/a');
+    await politeness.acquire('https://www.acme.de/b');
+    await assert.rejects(politeness.acquire('https://acme.de/c'), err => err instanceof PolitenessError && err.reason === 'domain_cap');
+    await politeness.acquire('https://other.de/');
+    assert.deepEqual(politeness.domain('https://acme.de/').refused, { robots_txt: 0, domain_cap: 1 });
+});
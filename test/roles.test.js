@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildRoleMatcher, defaultRoleMatcher, DEFAULT_ROLE_IDS } = require('../src/roles');
+
+const matchId = (matcher, title) => (matcher.match(title) || {}).id || null;
+
+test('RoleMatcher.match: synonyms, case, hyphen or space and gender forms', () => {
+    assert.equal(matchId(defaultRoleMatcher, 'cto'), 'cto');
+    assert.equal(matchId(defaultRoleMatcher, 'Chief Technology Officer & Co-Founder'), 'cto');
+    assert.equal(matchId(defaultRoleMatcher, 'IT-Leiterin'), 'head_of_it');
+    assert.equal(matchId(defaultRoleMatcher, 'Leiter*in IT'), 'head_of_it');
+    assert.equal(matchId(defaultRoleMatcher, 'Leiter:in der IT'), 'head_of_it');
+    assert.equal(matchId(defaultRoleMatcher, 'Senior IT Manager'), 'it_manager');
+    assert.equal(matchId(defaultRoleMatcher, 'Leiterin Recruiting'), 'head_of_talent');
+    assert.equal(matchId(defaultRoleMatcher, 'Facility Manager'), null);
+    assert.equal(matchId(defaultRoleMatcher, 'Director of Sales'), null);
+    assert.equal(defaultRoleMatcher.match(null), null);
+});
+
+test('RoleMatcher: the longest match wins, score is the role weight', () => {
+    assert.equal(matchId(defaultRoleMatcher, 'Head of IT / CTO'), 'head_of_it');
+    assert.equal(defaultRoleMatcher.score('Head of IT / CTO'), 90);
+    assert.equal(defaultRoleMatcher.score('Architect'), 0);
+});
+
+test('RoleMatcher.findTitle and searchQuery', () => {
+    assert.equal(defaultRoleMatcher.findTitle('Max Mustermann ist unser IT-Leiter seit 2020.'), 'IT-Leiter');
+    assert.equal(defaultRoleMatcher.findTitle('Impressum'), null);
+    const query = defaultRoleMatcher.searchQuery();
+    assert.ok(query.startsWith('CTO OR CIO OR "Head of IT" OR "IT-Leiter"'));
+    assert.ok(!query.includes('CISO'));
+});
+
+test('buildRoleMatcher: catalog ids and synonyms, custom roles, run roles as fallback', () => {
+    const matcher = buildRoleMatcher(['ciso', 'Einkaufsleiter', { name: 'Cloud Architect', weight: 70, synonyms: ['Cloud-Architekt'] }]);
+    assert.deepEqual(matcher.roles.map(r => [r.id, r.weight]), [['ciso', 88], ['cloud_architect', 70], ['purchasing_manager', 55]]);
+    assert.equal(matchId(matcher, 'Cloud Architekt'), 'cloud_architect');
+    assert.equal(matchId(matcher, 'Leiter IT-Sicherheit'), 'ciso');
+    assert.equal(matchId(matcher, 'CTO'), null);
+
+    // a company's targetRoles naming a role of the run keep the run's weight
+    const run = buildRoleMatcher([{ name: 'cto', weight: 10 }]);
+    assert.equal(buildRoleMatcher(['cto'], run).roles[0].weight, 10);
+    assert.equal(buildRoleMatcher(['cto']).roles[0].weight, 100);
+});
+
+test('buildRoleMatcher: empty or invalid roles fall back to the default roles', () => {
+    assert.deepEqual(buildRoleMatcher([]).roles.map(r => r.id).sort(), [...DEFAULT_ROLE_IDS].sort());
+    assert.deepEqual(buildRoleMatcher([{ name: ' ' }, null]).roles.map(r => r.id).sort(), [...DEFAULT_ROLE_IDS].sort());
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { newCompanyReport, visitEntry, extractorOutcome, summarizeRun } = require('../src/runReport');
+const { SourceBlockedError } = require('../src/sessions');
+
+const response = status => ({ status: () => status });
+
+test('visitEntry: HTTP status, timeouts and other request errors', () => {
+    assert.deepEqual(visitEntry('https://acme.de/', response(200)), { url: 'https://acme.de/', status: 200, error: null });
+    const timeout = Object.assign(new Error('page.goto: Timeout 15000ms exceeded.\nCall log: …'), { name: 'TimeoutError' });
+    assert.equal(visitEntry('https://acme.de/team', null, timeout).error, 'timeout');
+    assert.equal(visitEntry('https://acme.de/team', null, new Error('net::ERR_NAME_NOT_RESOLVED\nmore')).error, 'net::ERR_NAME_NOT_RESOLVED');
+});
+
+test('extractorOutcome: ok, empty, blocked, timeout and error', () => {
+    assert.equal(extractorOutcome({ candidates: [{}] }), 'ok');
+    assert.equal(extractorOutcome({ candidates: [], visits: [{ status: 200 }, { status: 404 }] }), 'empty');
+    assert.equal(extractorOutcome({ error: new SourceBlockedError('xing', 'captcha') }), 'blocked');
+    assert.equal(extractorOutcome({ error: Object.assign(new Error('x'), { name: 'TimeoutError' }) }), 'timeout');
+    assert.equal(extractorOutcome({ error: new Error('boom') }), 'error');
+    // the extractor swallowed the failures, but nothing loaded
+    assert.equal(extractorOutcome({ visits: [{ error: 'timeout' }, { error: 'timeout' }] }), 'timeout');
+    assert.equal(extractorOutcome({ visits: [{ status: 503 }, { error: 'timeout' }] }), 'error');
+});
+
+test('summarizeRun: companies, candidates, discards, changes, deliveries, extractor outcomes and pages', () => {
+    const done = Object.assign(newCompanyReport({ name: 'Acme' }, 'run-1'), {
+        status: 'done',
+        domain: 'acme.de',
+        extractors: [{ source: 'website', outcome: 'ok' }, { source: 'linkedin', outcome: 'skipped' }],
+        visits: [{ status: 200 }, { status: 404 }, { error: 'timeout' }],
+        candidates: { found: 4, merged: 3, validated: 2, aboveMinConfidence: 2, saved: 1 },
+        discards: { no_valid_email_or_phone: 1, over_limit: 1 },
+        droppedEmails: { role_inbox: 1 },
+        droppedPhones: 1,
+        changes: { comparedWith: 'run-0', new: 1, changed: 0, unchanged: 0, gone: 2 },
+        delivery: { status: 'delivered', attempts: 1 }
+    });
+    const failed = Object.assign(newCompanyReport({ name: 'Nowhere' }, 'run-1'), {
+        status: 'failed',
+        cachedFrom: '2026-03-01T10:00:00.000Z',
+        extractors: [{ source: 'website', outcome: 'error' }]
+    });
+    const summary = summarizeRun([done, failed], { runId: 'run-1', startedAt: new Date(Date.now() - 1000).toISOString() });
+    assert.deepEqual(summary.companies, { total: 2, done: 1, failed: 1, withContacts: 1, withoutContacts: 0, noDomain: 1, fromCache: 1 });
+    assert.deepEqual(summary.candidates, { found: 4, merged: 3, validated: 2, aboveMinConfidence: 2, saved: 1 });
+    assert.deepEqual([summary.discards, summary.droppedEmails, summary.droppedPhones], [{ no_valid_email_or_phone: 1, over_limit: 1 }, { role_inbox: 1 }, 1]);
+    assert.deepEqual(summary.extractors.website, { ok: 1, empty: 0, blocked: 0, timeout: 0, error: 1, skipped: 0 });
+    assert.deepEqual(summary.pages, { visited: 3, byStatus: { '2xx': 1, '4xx': 1, timeout: 1 } });
+    assert.deepEqual([summary.changes, summary.deliveries], [{ new: 1, changed: 0, unchanged: 0, gone: 2 }, { delivered: 1, failed: 0, skipped: 0 }]);
+    assert.ok(summary.durationMs >= 1000);
+});
@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    detectSalutation,
+    normalizeSalutation,
+    normalizeAcademicTitle,
+    salutationFromFirstName,
+    salutationFromJobTitle,
+    salutationFromText,
+    withoutHonorifics
+} = require('../src/salutation');
+
+test('salutationFromFirstName: known names, umlauts, double names; unisex and unknown names stay open', () => {
+    assert.equal(salutationFromFirstName('Sabine'), 'Frau');
+    assert.equal(salutationFromFirstName('Jürgen'), 'Herr');
+    assert.equal(salutationFromFirstName('Juergen'), 'Herr');
+    assert.equal(salutationFromFirstName('Hans-Peter'), 'Herr');
+    assert.equal(salutationFromFirstName('Anna Lena'), 'Frau');
+    assert.equal(salutationFromFirstName('Andrea'), null);
+    assert.equal(salutationFromFirstName('Kim'), null);
+    assert.equal(salutationFromFirstName('Xaver-Quentin'), null);
+    assert.equal(salutationFromFirstName(null), null);
+});
+
+test('salutationFromJobTitle: feminine titles only, gender-neutral forms say nothing', () => {
+    assert.equal(salutationFromJobTitle('Leiterin Vertrieb'), 'Frau');
+    assert.equal(salutationFromJobTitle('Geschäftsführerin'), 'Frau');
+    assert.equal(salutationFromJobTitle('Vorständin Finanzen'), 'Frau');
+    assert.equal(salutationFromJobTitle('Personalreferentin'), 'Frau');
+    assert.equal(salutationFromJobTitle('Leiter Vertrieb'), null);
+    assert.equal(salutationFromJobTitle('Leiter:in Vertrieb'), null);
+    assert.equal(salutationFromJobTitle('Entwickler*in'), null);
+    assert.equal(salutationFromJobTitle('LeiterIn IT'), null);
+    assert.equal(salutationFromJobTitle('Head of Marketing'), null);
+});
+
+test('normalizeSalutation and normalizeAcademicTitle', () => {
+    assert.equal(normalizeSalutation('Hr.'), 'Herr');
+    assert.equal(normalizeSalutation('Mrs'), 'Frau');
+    assert.equal(normalizeSalutation('Dr.'), null);
+    assert.equal(normalizeAcademicTitle('Prof. Dr.-Ing.'), 'Prof. Dr.');
+    assert.equal(normalizeAcademicTitle('Dr. rer. nat.'), 'Dr.');
+    assert.equal(normalizeAcademicTitle('Mag.a'), 'Mag.');
+    assert.equal(normalizeAcademicTitle('Dipl.-Kfm.'), null);
+    assert.equal(normalizeAcademicTitle(null), null);
+});
+
+test('salutationFromText: explicit salutation, titles and pronouns around the name', () => {
+    assert.deepEqual(salutationFromText('Ihr Ansprechpartner: Herr Dr. Max Mustermann, CTO', 'Max', 'Mustermann'), { salutation: 'Herr', academicTitle: 'Dr.' });
+    assert.deepEqual(salutationFromText('Bitte wenden Sie sich an Frau Krüger.', 'Sabine', 'Krüger'), { salutation: 'Frau', academicTitle: null });
+    assert.deepEqual(salutationFromText('Prof. Dr. Jan von Ahlen – Vorstand', 'Jan', 'von Ahlen'), { salutation: null, academicTitle: 'Prof. Dr.' });
+    assert.deepEqual(salutationFromText('Erika Musterfrau (sie/ihr) · Head of Sales', 'Erika', 'Musterfrau'), { salutation: 'Frau', academicTitle: null });
+    // pronouns contradicting the written salutation leave it open
+    assert.deepEqual(salutationFromText('Herr Kim Lee (she/her)', 'Kim', 'Lee'), { salutation: null, academicTitle: null });
+    assert.deepEqual(salutationFromText('Frau Krügers Team', 'Sabine', 'Krüger'), { salutation: null, academicTitle: null });
+});
+
+test('withoutHonorifics: name patterns no longer see "Herr Dr" as a name', () => {
+    assert.equal(withoutHonorifics('Herr Dr. Max Mustermann'), 'Max Mustermann');
+    assert.equal(withoutHonorifics('Frau Prof. Dr. Anna Berger, Leiterin'), 'Anna Berger, Leiterin');
+});
+
+test('detectSalutation: agreeing signals win, any contradiction gives null', () => {
+    assert.equal(detectSalutation({ firstName: 'Sabine', salutation: null, jobTitle: 'Head of HR' }), 'Frau');
+    assert.equal(detectSalutation({ firstName: 'Andrea', salutation: null, jobTitle: 'Leiterin Einkauf' }), 'Frau');
+    assert.equal(detectSalutation({ firstName: 'Kim', salutation: 'Herr', jobTitle: null }), 'Herr');
+    assert.equal(detectSalutation({ firstName: 'Max', salutation: 'Frau', jobTitle: null }), null);
+    assert.equal(detectSalutation({ firstName: 'Thomas', salutation: null, jobTitle: 'Geschäftsführerin' }), null);
+    assert.equal(detectSalutation({ firstName: null, salutation: null, jobTitle: 'CTO' }), null);
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreContact, countHighScoring, SCORE_WEIGHTS } = require('../src/scoring');
+const { buildRoleMatcher } = require('../src/roles');
+
+const MAX = {
+    firstName: 'Max',
+    lastName: 'Mustermann',
+    jobTitle: 'CTO',
+    email: 'max.mustermann@acme-digital.de',
+    emailSource: 'scraped',
+    emailValidation: { valid: true, dns: 'mx' },
+    phone: '+498912345610',
+    linkedInUrl: 'https://www.linkedin.com/in/max-mustermann',
+    location: 'München',
+    confidence: 0.9
+};
+
+const OFFICE = { phone: '+498912345670', confidence: 0.85 };
+
+test('SCORE_WEIGHTS: the components add up to 1', () => {
+    assert.equal(Object.values(SCORE_WEIGHTS).reduce((a, b) => a + b, 0), 1);
+});
+
+test('scoreContact: role, source, email and completeness, each up to its weight', () => {
+    assert.deepEqual(scoreContact(MAX), { score: 0.98, scoreBreakdown: { role: 0.4, source: 0.18, email: 0.25, completeness: 0.15 } });
+    // a bare switchboard number: no role, a little for the phone, one of seven fields
+    assert.deepEqual(scoreContact(OFFICE), { score: 0.241, scoreBreakdown: { role: 0, source: 0.17, email: 0.05, completeness: 0.021 } });
+});
+
+test('scoreContact: A-record-only domains, inferred and rejected addresses lower the email part', () => {
+    assert.equal(scoreContact({ ...MAX, emailValidation: { valid: true, dns: 'a' } }).scoreBreakdown.email, 0.225);
+    // before validation the offline checks decide; an inferred address counts with its pattern confidence
+    assert.equal(scoreContact({ ...MAX, emailSource: 'inferred', emailConfidence: 0.67, emailValidation: null }).scoreBreakdown.email, 0.168);
+    assert.equal(scoreContact({ ...MAX, emailValidation: { valid: false, reason: 'no_dns' } }).scoreBreakdown.email, 0);
+    assert.equal(scoreContact({ email: 'not-an-email', confidence: 0.5 }).scoreBreakdown.email, 0);
+});
+
+test('scoreContact: the role part is relative to the heaviest configured role', () => {
+    const recruiter = { ...MAX, jobTitle: 'Recruiter' };
+    assert.equal(scoreContact(recruiter).scoreBreakdown.role, 0.18);
+    assert.equal(scoreContact(recruiter, { roleMatcher: buildRoleMatcher([{ name: 'Recruiter', weight: 50 }]) }).scoreBreakdown.role, 0.4);
+    assert.equal(scoreContact({ ...MAX, jobTitle: 'Director of Sales' }).scoreBreakdown.role, 0);
+});
+
+test('countHighScoring: contacts at or above the threshold', () => {
+    assert.equal(countHighScoring([MAX, OFFICE], 0.6), 1);
+    assert.equal(countHighScoring([MAX, OFFICE], 0.241), 2);
+    assert.equal(countHighScoring([MAX, { ...MAX, jobTitle: 'Recruiter' }], 0.9), 1);
+    assert.equal(countHighScoring([{ ...MAX, jobTitle: 'Recruiter' }], 0.9, { roleMatcher: buildRoleMatcher(['Recruiter']) }), 1);
+    assert.equal(countHighScoring([], 0.6), 0);
+});
@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSession, loadSession, openSession, detectBlock, ProfileViewBudget, SourceBlockedError } = require('../src/sessions');
+
+const LINKEDIN = 'https://www.linkedin.com';
+const IN_A_YEAR = Math.floor(Date.now() / 1000) + 365 * 24 * 3600;
+
+/** Key-Value-Store stand-in that keeps records in memory */
+function memoryStore(records = {}) {
+    return {
+        records,
+        getValue: async key => records[key] ?? null,
+        setValue: async (key, value) => { records[key] = JSON.parse(JSON.stringify(value)); }
+    };
+}
+
+test('parseSession: Playwright storageState, extension cookie export and Cookie header', () => {
+    const state = parseSession({
+        cookies: [{ name: 'li_at', value: 'AQEabc', domain: '.linkedin.com', path: '/', expires: IN_A_YEAR, httpOnly: true, secure: true, sameSite: 'None' }],
+        origins: [{ origin: LINKEDIN, localStorage: [] }]
+    }, 'linkedin', LINKEDIN);
+    assert.equal(state.storageState.cookies.length, 1);
+    assert.equal(state.storageState.origins.length, 1);
+    assert.equal(state.expired, false);
+
+    const exported = parseSession(JSON.stringify([
+        { name: 'li_at', value: 'AQEabc', domain: '.linkedin.com', expirationDate: IN_A_YEAR, sameSite: 'no_restriction', secure: true }
+    ]), 'linkedin', LINKEDIN);
+    assert.deepEqual(exported.storageState.cookies[0], {
+        name: 'li_at', value: 'AQEabc', domain: '.linkedin.com', path: '/', expires: IN_A_YEAR, httpOnly: false, secure: true, sameSite: 'None'
+    });
+
+    const header = parseSession('li_at=AQEabc; JSESSIONID="ajax:123"', 'linkedin', LINKEDIN);
+    assert.deepEqual(header.storageState.cookies.map(c => [c.name, c.value, c.domain, c.expires]), [
+        ['li_at', 'AQEabc', '.linkedin.com', -1],
+        ['JSESSIONID', '"ajax:123"', '.linkedin.com', -1]
+    ]);
+    // the account is identified by the login cookie, not by rotating ones
+    assert.equal(header.account, exported.account);
+    assert.equal(parseSession('li_at=AQEabc; JSESSIONID=other', 'linkedin', LINKEDIN).account, header.account);
+    assert.notEqual(parseSession('li_at=AQExyz', 'linkedin', LINKEDIN).account, header.account);
+});
+
+test('parseSession: empty values, expired cookies and invalid input', () => {
+    assert.equal(parseSession(undefined, 'linkedin', LINKEDIN), null);
+    assert.equal(parseSession('  ', 'xing', 'https://www.xing.com'), null);
+
+    const expired = parseSession([{ name: 'li_at', value: 'old', expires: 1600000000 }], 'linkedin', LINKEDIN);
+    assert.equal(expired.expired, true);
+    assert.deepEqual(expired.storageState.cookies, []);
+
+    assert.throws(() => parseSession('{"cookies": [', 'linkedin', LINKEDIN), /Invalid LinkedIn session/);
+    assert.throws(() => parseSession({ token: 'abc' }, 'xing', 'https://www.xing.com'), /Invalid XING session/);
+});
+
+test('loadSession: input secret before the Key-Value-Store record', async () => {
+    const store = memoryStore({ XING_SESSION: { cookies: [{ name: 'login', value: 'stored', domain: '.xing.com' }] } });
+    const fromStore = await loadSession('xing', { store, platformUrl: 'https://www.xing.com' });
+    assert.equal(fromStore.storageState.cookies[0].value, 'stored');
+    const fromInput = await loadSession('xing', { secret: 'login=secret', store, platformUrl: 'https://www.xing.com' });
+    assert.deepEqual(fromInput.storageState.cookies.map(c => [c.value, c.domain]), [['secret', '.xing.com']]);
+    assert.equal(await loadSession('linkedin', { store, platformUrl: LINKEDIN }), null);
+});
+
+test('openSession: anonymous without cookies, budget per account', async () => {
+    const store = memoryStore();
+    const anonymous = await openSession('linkedin', { store, dailyProfileViews: 5 });
+    assert.deepEqual([anonymous.authenticated, anonymous.account, anonymous.storageState], [false, 'anonymous', null]);
+    assert.equal(anonymous.budget.remaining, 5);
+
+    const session = await openSession('linkedin', { secret: 'li_at=AQEabc', store, dailyProfileViews: 5 });
+    assert.equal(session.authenticated, true);
+    assert.equal(session.storageState.cookies[0].domain, '.linkedin.com');
+    assert.notEqual(session.account, 'anonymous');
+});
+
+test('detectBlock: captcha, login wall and expired session', () => {
+    assert.equal(detectBlock({ url: 'https://www.linkedin.com/in/erika', title: 'Erika Musterfrau | LinkedIn' }), null);
+    assert.equal(detectBlock({ url: 'https://www.linkedin.com/authwall?trk=bf' }), 'login_wall');
+    assert.equal(detectBlock({ url: 'https://www.linkedin.com/authwall?trk=bf' }, { authenticated: true }), 'session_expired');
+    assert.equal(detectBlock({ url: 'https://login.xing.com/' }), 'login_wall');
+    assert.equal(detectBlock({ url: 'https://www.linkedin.com/checkpoint/challenge/AgF' }), 'captcha');
+    assert.equal(detectBlock({ url: 'https://www.xing.com/search', title: 'Sicherheitsüberprüfung | XING' }), 'captcha');
+    assert.equal(detectBlock({ url: 'https://www.xing.com/search', html: '<div class="h-captcha" data-sitekey="x"></div>' }), 'captcha');
+    assert.equal(detectBlock({ url: 'https://www.linkedin.com/search/results/people/', html: '<form><input type="password" name="session_password"></form>' }), 'login_wall');
+    assert.equal(detectBlock({ url: 'https://www.linkedin.com/search/results/people/', html: '<p>Keine Ergebnisse</p>' }), null);
+});
+
+test('ProfileViewBudget: shared across runs of the same day, per account, reset the next day', async () => {
+    const store = memoryStore();
+    const today = () => new Date('2026-03-02T09:00:00Z');
+    const first = await ProfileViewBudget.open(store, 'linkedin', 'acc1', 2, today);
+    assert.equal(await first.take(), true);
+    assert.equal(await first.take(), true);
+    assert.equal(await first.take(), false);
+    assert.deepEqual(store.records.PROFILE_VIEWS_LINKEDIN, { date: '2026-03-02', accounts: { acc1: 2 } });
+
+    const laterRun = await ProfileViewBudget.open(store, 'linkedin', 'acc1', 2, () => new Date('2026-03-02T18:00:00Z'));
+    assert.equal(laterRun.remaining, 0);
+    const otherAccount = await ProfileViewBudget.open(store, 'linkedin', 'acc2', 2, today);
+    assert.equal(otherAccount.remaining, 2);
+    const nextDay = await ProfileViewBudget.open(store, 'linkedin', 'acc1', 2, () => new Date('2026-03-03T08:00:00Z'));
+    assert.equal(nextDay.remaining, 2);
+
+    const unlimited = await ProfileViewBudget.open(null, 'xing', 'anonymous', null);
+    assert.equal(await unlimited.take(), true);
+    assert.equal(unlimited.remaining, Infinity);
+});
+
+test('ProfileViewBudget: a run going past midnight gets the budget of the new day', async () => {
+    const store = memoryStore();
+    let now = new Date('2026-03-02T23:59:00Z');
+    const budget = await ProfileViewBudget.open(store, 'linkedin', 'acc1', 1, () => now);
+    assert.equal(await budget.take(), true);
+    assert.equal(await budget.take(), false);
+
+    now = new Date('2026-03-03T00:01:00Z');
+    assert.equal(budget.remaining, 1);
+    assert.equal(await budget.take(), true);
+    assert.deepEqual(store.records.PROFILE_VIEWS_LINKEDIN, { date: '2026-03-03', accounts: { acc1: 1 } });
+    assert.equal(await budget.take(), false);
+});
+
+test('SourceBlockedError: source, reason and the contacts found before the block', () => {
+    const err = new SourceBlockedError('xing', 'captcha', [{ firstName: 'Jonas' }]);
+    assert.ok(err instanceof Error);
+    assert.equal(err.message, 'XING: captcha / security check');
+    assert.deepEqual([err.source, err.reason, err.candidates.length], ['xing', 'captcha', 1]);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreLink, rankLinks, isSameSite, parseSitemap, pageKey } = require('../src/siteCrawl');
+
+test('scoreLink: management and team pages outrank career, contact and legal pages', () => {
+    const score = path => scoreLink(`https://www.acme.de${path}`);
+    assert.ok(score('/de/unternehmen/management') > score('/karriere'));
+    assert.ok(score('/ueber-uns/vorstand') > score('/kontakt'));
+    assert.ok(score('/en/about/leadership') > score('/en/about'));
+    assert.ok(score('/ansprechpartner') > score('/impressum'));
+    assert.ok(score('/impressum') > 0);
+    assert.equal(score('/produkte/cloud'), 0);
+});
+
+test('scoreLink: anchor text counts, legal pages and files never', () => {
+    assert.ok(scoreLink('https://acme.de/seite-12', 'Unsere Geschäftsführung') >= 10);
+    assert.equal(scoreLink('https://acme.de/datenschutz', 'Datenschutz & Team'), 0);
+    assert.equal(scoreLink('https://acme.de/downloads/team.pdf', 'Team als PDF'), 0);
+});
+
+test('isSameSite: same host with or without www, below the base path', () => {
+    assert.ok(isSameSite('https://acme.de/team', 'https://www.acme.de'));
+    assert.ok(isSameSite('https://www.acme.de/de/team', 'https://www.acme.de/de'));
+    assert.ok(!isSameSite('https://www.acme.de/en/team', 'https://www.acme.de/de'));
+    assert.ok(!isSameSite('https://www.acme.de.evil.com/team', 'https://www.acme.de'));
+    assert.ok(!isSameSite('https://jobs.acme.de/team', 'https://www.acme.de'));
+    assert.ok(!isSameSite('mailto:info@acme.de', 'https://www.acme.de'));
+});
+
+test('rankLinks: one entry per page, best first, only positive scores', () => {
+    const ranked = rankLinks([
+        { href: 'https://www.acme.de/karriere', text: 'Jobs' },
+        { href: 'https://www.acme.de/team#top', text: 'Team' },
+        { href: 'https://www.acme.de/team/', text: 'Unser Team' },
+        { href: 'https://www.acme.de/leistungen', text: 'Leistungen' },
+        { href: 'https://www.linkedin.com/company/acme', text: 'Team auf LinkedIn' }
+    ], 'https://www.acme.de');
+
+    assert.deepEqual(ranked.map(l => pageKey(l.url)), ['https://www.acme.de/team', 'https://www.acme.de/karriere']);
+});
+
+test('parseSitemap: url sets, sitemap indexes and escaped URLs', () => {
+    assert.deepEqual(parseSitemap(`<?xml version="1.0"?>
+        <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+            <url><loc>https://www.acme.de/de/team</loc></url>
+            <url><loc> https://www.acme.de/seite?id=1&amp;lang=de </loc></url>
+        </urlset>`), { pages: ['https://www.acme.de/de/team', 'https://www.acme.de/seite?id=1&lang=de'], sitemaps: [] });
+
+    assert.deepEqual(parseSitemap(`<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+            <sitemap><loc><![CDATA[https://www.acme.de/sitemap-pages.xml]]></loc></sitemap>
+        </sitemapindex>`), { pages: [], sitemaps: ['https://www.acme.de/sitemap-pages.xml'] });
+
+    assert.deepEqual(parseSitemap(''), { pages: [], sitemaps: [] });
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SourceRegistry, createSourceRegistry, supportsRegion } = require('../src/sources');
+const { createContact, normalizeContacts } = require('../src/contact');
+
+const noop = async () => [];
+
+test('createSourceRegistry: built-in sources by priority, XING and Impressum gated to their regions', () => {
+    const registry = createSourceRegistry();
+    assert.deepEqual(registry.list().map(s => s.name), ['website', 'linkedin', 'xing', 'impressum']);
+    assert.deepEqual(registry.get('xing').regions, ['DE', 'AT', 'CH']);
+    assert.equal(registry.get('website').regions, null);
+});
+
+test('register: validates the contract, keeps registration order on equal priority', () => {
+    const registry = new SourceRegistry();
+    registry.register({ name: 'directory', regions: ['de'], priority: 50, extract: noop }).register({ name: 'crm', extract: noop });
+    registry.register({ name: 'archive', extract: noop });
+    assert.deepEqual(registry.list().map(s => s.name), ['directory', 'crm', 'archive']);
+    assert.deepEqual(registry.get('directory').regions, ['DE']);
+    assert.equal(registry.get('crm').retries, 1);
+
+    assert.throws(() => registry.register({ name: 'crm', extract: noop }), /already registered/);
+    assert.throws(() => registry.register({ name: 'Internal Directory', extract: noop }), /Invalid source name/);
+    assert.throws(() => registry.register({ name: 'phonebook' }), /extract\(context\)/);
+    assert.throws(() => registry.register({ name: 'phonebook', regions: 'DE', extract: noop }), /regions/);
+});
+
+test('select: the sources input enables and orders; unknown and duplicate names are rejected', () => {
+    const registry = createSourceRegistry();
+    assert.deepEqual(registry.select(undefined).map(s => s.name), ['website', 'linkedin', 'xing', 'impressum']);
+    assert.deepEqual(registry.select(['impressum', 'website']).map(s => s.name), ['impressum', 'website']);
+    assert.throws(() => registry.select(['website', 'facebook']), /Unknown source\(s\): facebook/);
+    assert.throws(() => registry.select(['website', 'website']), /only once/);
+    assert.throws(() => registry.select([]), /non-empty array/);
+});
+
+test('supportsRegion: country codes, names, DACH; unknown regions are served by all sources', () => {
+    const xing = createSourceRegistry().get('xing');
+    assert.equal(supportsRegion(xing, 'DE'), true);
+    assert.equal(supportsRegion(xing, 'Österreich'), true);
+    assert.equal(supportsRegion(xing, 'DACH'), true);
+    assert.equal(supportsRegion(xing, 'US'), false);
+    assert.equal(supportsRegion(xing, 'France'), false);
+    assert.equal(supportsRegion(xing, null), true);
+    assert.equal(supportsRegion(xing, 'Mars'), true);
+    assert.equal(supportsRegion({ regions: null }, 'US'), true);
+});
+
+test('normalizeContacts: full contact shape, source and company enforced, empty entries dropped', () => {
+    const contacts = normalizeContacts([
+        { firstName: ' Erika ', lastName: 'Musterfrau', email: 'erika@acme.de', phone: 891234567, source: 'other', unknown: 'x' },
+        { company: 'Acme Services GmbH', jobTitle: 'CTO' },
+        null,
+        { phone: '+49 89 1234567-0', jobTitle: { text: 'CTO' } }
+    ], 'directory', 'Acme Digital GmbH');
+    assert.deepEqual(contacts, [
+        createContact('directory', { company: 'Acme Digital GmbH', firstName: 'Erika', lastName: 'Musterfrau', email: 'erika@acme.de', phone: '891234567' }),
+        createContact('directory', { company: 'Acme Digital GmbH', phone: '+49 89 1234567-0' })
+    ]);
+    assert.deepEqual(Object.keys(contacts[0]), ['company', 'location', 'salutation', 'academicTitle', 'firstName', 'lastName', 'email', 'phone', 'jobTitle', 'linkedInUrl', 'source']);
+    assert.throws(() => normalizeContacts(undefined, 'directory', 'Acme'), /must return an array/);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { structuredContacts, jsonLdContacts, hCardContacts, parseVCard } = require('../src/structuredData');
+
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', 'structured', name), 'utf8');
+}
+
+function person(c) {
+    return [c.salutation, c.academicTitle, c.firstName, c.lastName, c.jobTitle, c.email, c.phone, c.location, c.linkedInUrl];
+}
+
+test('JSON-LD: persons in @graph and Organization.employee, titles and particles, invalid blocks skipped', () => {
+    const contacts = jsonLdContacts(fixture('jsonld.html'), 'Nordlicht Software AG');
+
+    assert.deepEqual(contacts.map(person), [
+        ['Frau', 'Dr.', 'Katharina', 'Ölsner-Brandt', 'Chief Information Officer', 'k.oelsner-brandt@nordlicht-software.de', '+49 40 3344 5510', 'Hamburg',
+            'https://www.linkedin.com/in/katharina-oelsner-brandt/'],
+        [null, 'Prof. Dr.', 'Jan-Hendrik', 'von Ahlen', 'Vorstandsvorsitzender', null, null, null, null],
+        ['Herr', null, 'Marco', 'de Luca', 'Head of IT', 'm.deluca@nordlicht-software.de', null, null, null]
+    ]);
+    assert.ok(contacts.every(c => c.company === 'Nordlicht Software AG' && c.source === 'website'));
+});
+
+test('hCard: h-card and classic vcard; the employer card and organisation cards are no persons', () => {
+    const contacts = hCardContacts(fixture('hcard.html'), 'Alpencloud GmbH');
+
+    assert.deepEqual(contacts.map(person), [
+        [null, 'Mag.', 'Eva', 'Lindner', 'Leiterin IT & Organisation', 'eva.lindner@alpencloud.at', '+4312345678-12', 'Wien', 'https://www.linkedin.com/in/eva-lindner'],
+        ['Herr', 'DI', 'Peter', 'Gruber', 'Head of Engineering', 'peter.gruber@alpencloud.at', '+43 1 234 56 78-15', null, null]
+    ]);
+});
+
+test('vCard: folded lines, escaped values, work email preferred, fax skipped, XING profile kept', () => {
+    const contacts = parseVCard(fixture('contacts.vcf'), 'Müller & Söhne GmbH');
+
+    assert.deepEqual(contacts.map(person), [
+        [null, 'Dr.', 'Sabine', 'Krüger-Weiß', 'Leiterin Personal, Recruiting', 's.krueger-weiss@mueller-soehne.de', '+49 711 123456-21', 'Ostfildern',
+            'https://www.xing.com/profile/Sabine_KruegerWeiss'],
+        [null, null, 'Thomas', 'Müller', 'Geschäftsführer', null, '+49-711-123456-0', null, null]
+    ]);
+});
+
+test('structuredContacts: JSON-LD before microformats, nothing for pages without structured data', () => {
+    const html = `${fixture('jsonld.html')}<div class="h-card"><span class="p-name">Lena Vogt</span></div>`;
+    assert.deepEqual(structuredContacts(html, 'X').map(c => c.lastName), ['Ölsner-Brandt', 'von Ahlen', 'de Luca', 'Vogt']);
+    assert.deepEqual(structuredContacts('<div class="team-member"><h3>Max Mustermann</h3><p>CTO</p></div>', 'X'), []);
+    assert.deepEqual(structuredContacts(null, 'X'), []);
+});
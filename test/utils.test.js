@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCompanyInput } = require('../src/utils');
+
+test('normalizeCompanyInput: a plain name and an object give the same shape', () => {
+    const empty = { website: null, linkedInCompanyUrl: null, xingCompanyUrl: null, region: null, targetRoles: null };
+    assert.deepEqual(normalizeCompanyInput('  Acme Digital GmbH '), { name: 'Acme Digital GmbH', ...empty });
+    assert.deepEqual(normalizeCompanyInput({ name: 'Acme Digital GmbH' }), { name: 'Acme Digital GmbH', ...empty });
+});
+
+test('normalizeCompanyInput: entries without a usable name are null', () => {
+    assert.equal(normalizeCompanyInput(''), null);
+    assert.equal(normalizeCompanyInput('   '), null);
+    assert.equal(normalizeCompanyInput({ name: '  ', website: 'https://acme-digital.de' }), null);
+    assert.equal(normalizeCompanyInput({ website: 'https://acme-digital.de' }), null);
+    assert.equal(normalizeCompanyInput({ name: 42 }), null);
+    assert.equal(normalizeCompanyInput(null), null);
+    assert.equal(normalizeCompanyInput(42), null);
+});
+
+test('normalizeCompanyInput: website, profiles, region and targetRoles are passed through trimmed', () => {
+    const company = normalizeCompanyInput({
+        name: 'Acme Digital GmbH',
+        website: ' https://www.acme-digital.de ',
+        linkedInCompanyUrl: 'https://www.linkedin.com/company/acme-digital',
+        xingCompanyUrl: 'https://www.xing.com/pages/acme-digital',
+        region: ' AT ',
+        targetRoles: [' CTO ', { name: 'Cloud Architect', weight: 70 }]
+    });
+    assert.deepEqual(company, {
+        name: 'Acme Digital GmbH',
+        website: 'https://www.acme-digital.de',
+        linkedInCompanyUrl: 'https://www.linkedin.com/company/acme-digital',
+        xingCompanyUrl: 'https://www.xing.com/pages/acme-digital',
+        region: 'AT',
+        targetRoles: ['CTO', { name: 'Cloud Architect', weight: 70 }]
+    });
+});
+
+test('normalizeCompanyInput: unknown fields are dropped, invalid values become null', () => {
+    const company = normalizeCompanyInput({
+        name: 'Acme Digital GmbH',
+        website: 42,
+        region: '  ',
+        targetRoles: ['', null, { weight: 70 }, 7],
+        industry: 'IT',
+        employees: 120
+    });
+    assert.deepEqual(company, { name: 'Acme Digital GmbH', website: null, linkedInCompanyUrl: null, xingCompanyUrl: null, region: null, targetRoles: null });
+    assert.equal(normalizeCompanyInput({ name: 'Acme', targetRoles: 'CTO' }).targetRoles, null);
+});
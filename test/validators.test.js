@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateEmail, createDnsChecker, isValidEmail } = require('../src/validators');
+
+/** Resolver stub: MX records per domain, everything else does not exist */
+function stubResolver(mx) {
+    const notFound = () => Object.assign(new Error('queryMx ENOTFOUND'), { code: 'ENOTFOUND' });
+    return {
+        resolveMx: async (domain) => {
+            if (!mx.includes(domain)) throw notFound();
+            return [{ exchange: `mx.${domain}`, priority: 10 }];
+        },
+        resolve4: async () => { throw notFound(); }
+    };
+}
+
+const dnsChecker = createDnsChecker(stubResolver(['acme.de', 'acme.co.uk', 'sap.com', 'sas.com', 'weg.de', 'outlook.de', 'gmail.com']));
+
+async function reason(email, companyDomain = null) {
+    return (await validateEmail(email, { companyDomain, dnsChecker })).reason;
+}
+
+test('validateEmail: reason codes of the check chain', async () => {
+    assert.equal(await reason(null), 'missing');
+    assert.equal(await reason('max.mustermann@'), 'syntax');
+    assert.equal(await reason('info@acme.de', 'acme.de'), 'role_inbox');
+    assert.equal(await reason('max@mailinator.com'), 'disposable');
+    assert.equal(await reason('max@nowhere-at-all.de'), 'no_dns');
+    assert.equal(await reason('max.mustermann@acme.de', 'acme.de'), 'ok');
+    assert.equal(await reason('max.mustermann@gmail.com', 'acme.de'), 'domain_mismatch');
+    assert.deepEqual(await validateEmail('max@gmial.com', { dnsChecker }), {
+        email: 'max@gmial.com', valid: false, reason: 'typo_domain', suggestion: 'max@gmail.com', dns: null
+    });
+});
+
+test('validateEmail: subdomains and other suffixes of the company name match, other registrable domains do not', async () => {
+    assert.equal(await reason('max@mail.acme.de', 'acme.de'), 'no_dns');
+    assert.equal(await reason('max@acme.co.uk', 'acme.de'), 'ok');
+    assert.equal(await reason('max@other.co.uk', 'acme.co.uk'), 'domain_mismatch');
+    assert.equal(await reason('max@acme.co.uk', 'acme.co.uk'), 'ok');
+});
+
+test('validateEmail: the company domain comes before the typo list; real mail domains are no typos', async () => {
+    assert.equal(await reason('max.mustermann@weg.de', 'weg.de'), 'ok');
+    assert.equal(await reason('max.mustermann@weg.de'), 'ok');
+    assert.equal(await reason('max.mustermann@outlook.de'), 'ok');
+});
+
+test('validateEmail: a near miss of the company domain is a typo only if it does not resolve', async () => {
+    const typo = await validateEmail('max@bsoch.de', { companyDomain: 'bosch.de', dnsChecker });
+    assert.deepEqual([typo.reason, typo.suggestion, typo.dns], ['typo_domain', 'max@bosch.de', 'none']);
+    assert.equal(await reason('max@sas.com', 'sap.com'), 'domain_mismatch');
+    // without DNS there is no telling a typo from another company
+    assert.equal((await validateEmail('max@bsoch.de', { companyDomain: 'bosch.de', dnsChecker: null })).reason, 'domain_mismatch');
+});
+
+test('createDnsChecker: MX, A fallback, none, and null when DNS does not answer; cached per domain', async () => {
+    let calls = 0;
+    const checker = createDnsChecker({
+        resolveMx: async (domain) => {
+            calls += 1;
+            if (domain === 'timeout.de') throw Object.assign(new Error('timeout'), { code: 'ETIMEOUT' });
+            if (domain === 'a-only.de') return [];
+            throw Object.assign(new Error('not found'), { code: 'ENOTFOUND' });
+        },
+        resolve4: async (domain) => (domain === 'a-only.de' ? ['192.0.2.1'] : [])
+    });
+    assert.equal(await checker('a-only.de'), 'a');
+    assert.equal(await checker('gone.de'), 'none');
+    assert.equal(await checker('timeout.de'), null);
+    await checker('gone.de');
+    assert.equal(calls, 3);
+});
+
+test('isValidEmail: syntax and role inboxes only', () => {
+    assert.equal(isValidEmail('max.mustermann@acme.de'), true);
+    assert.equal(isValidEmail('jobs2@acme.de'), false);
+    assert.equal(isValidEmail('not an address'), false);
+});